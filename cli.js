@@ -3,6 +3,17 @@
 const fs = require('fs').promises;
 const path = require('path');
 const AudioUpscaler = require('./src/audioUpscaler');
+const { Ditherer } = require('./src/ditherer');
+const { AudioPostprocessor } = require('./src/audioPostprocessor');
+
+// Preprocessing settings for common sources; explicit flags still win
+const PRESETS = {
+  vinyl: {
+    declick: true,
+    removeHum: true,
+    rumbleFrequency: 30
+  }
+};
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -19,14 +30,59 @@ Usage:
 Options:
   --no-preprocessing     Disable audio preprocessing
   --no-postprocessing    Disable audio postprocessing
+  --no-normalize         Skip loudness normalization in preprocessing
+  --no-noise-reduction   Skip noise reduction in preprocessing
+  --noise-reduction <dB> Most attenuation noise reduction may apply (default: 12)
+  --noise-profile <src>  Where to learn the noise from: a time range such as 0-1.5 (seconds)
+                         or a noise-only audio file (default: the quietest passages)
+  --no-transient-preservation
+                         Let preprocessing gain changes act on transients too
+  --no-dynamics          Skip dynamics restoration in preprocessing
+  --no-hum-removal       Skip DC offset, mains hum and rumble removal in preprocessing
+  --rumble-cutoff <hz>   Always high-pass at this cutoff, 0 to disable (default: 20 Hz, only
+                         when DC offset or hum is found)
+  --declip               Rebuild clipped peaks in preprocessing (clipping is reported either way)
+  --declick              Repair clicks and crackle in preprocessing
+  --declick-sensitivity <1-10>
+                         How faint a click gets repaired, 10 catching the most (default: 5)
+  --preset <name>        Preprocessing preset for the source: vinyl (de-click and 30 Hz rumble filter)
   --training-mode        Enable training mode (model will learn from this example)
   --audio-type <type>    Force audio type (voice, music, ambient, general)
+  --mode <mode>          Model mode: single (best match) or mixture (confidence-weighted blend)
+  --mixture-floor <n>    Minimum confidence, 0.15-1, to use specialists in mixture mode (default: 0.4)
+  --sample-rate <hz>     Output sample rate, e.g. 48000 or 96000 (default: source rate, at least 44100)
+  --bit-depth <depth>    Output bit depth: 16, 24, 32 or 32f (default: 24 for WAV)
+  --format <name>        Output format regardless of the file extension: wav, aiff, flac, alac,
+                         wavpack, mp3, vorbis, opus or aac (default: from the extension)
+  --codec-options <opts> Encoder settings as key=value pairs separated by commas: mode (cbr/vbr,
+                         or cvbr for opus), bitrate (kbps), quality (VBR quality on the
+                         encoder's scale) or compression (FLAC 0-12, WavPack 0-8)
+  --no-loudness-match    Keep the upscaled loudness instead of matching the original's
+  --loudness-target <t>  Normalize for delivery instead: podcast (-16 LUFS), streaming (-14 LUFS)
+                         or broadcast (EBU R128, -23 LUFS), each with a -1 dBTP ceiling
+                         (default: original)
+  --true-peak <dBTP>     Ceiling for the true-peak limiter (default: -1, or the target's)
+  --no-limiter           Skip true-peak limiting in postprocessing
+  --exciter <0-1>        Synthesize harmonics above the source cutoff from the octave below it,
+                         on top of the model's output (off by default)
+  --transient-shaper <0-1>
+                         Restore attacks dulled by lossy encoding (off by default)
+  --dither <type>        Dither for 16- and 24-bit outputs: none, rectangular, tpdf, tpdf-hp
+                         or f-weighted (noise-shaped) (default: tpdf)
+  --crossover <freq>     Keep the original below this frequency: auto (detected bandwidth),
+                         a frequency in Hz, or off to use the full model output (default: auto)
   --help                 Show this help message
 
 Examples:
   node cli.js input.mp3 output.wav
   node cli.js --no-preprocessing input.mp3 output.wav
   node cli.js --training-mode input.mp3 output.wav
+  node cli.js --mode mixture input.mp3 output.wav
+  node cli.js --sample-rate 96000 --bit-depth 24 input.wav output.flac
+  node cli.js --noise-profile 0-2 --noise-reduction 18 tape.wav output.wav
+  node cli.js --preset vinyl --declick-sensitivity 7 record.wav output.wav
+  node cli.js --format opus --codec-options bitrate=160 input.mp3 output.opus
+  node cli.js --codec-options mode=vbr,quality=2 input.wav output.mp3
 `);
   process.exit(0);
 };
@@ -41,8 +97,19 @@ let inputPath = null;
 let outputPath = null;
 let usePreprocessing = true;
 let usePostprocessing = true;
+const preprocessorOptions = {};
+const postprocessorOptions = {};
 let trainingMode = false;
 let audioType = null;
+let modelMode = 'single';
+let mixtureFloor = 0.4;
+let targetSampleRate = null;
+let targetBitDepth = null;
+let outputFormat = null;
+let codecOptions = null;
+let crossover = true;
+let crossoverFrequency = 'auto';
+let preset = null;
 
 for (let i = 0; i < args.length; i++) {
   const arg = args[i];
@@ -51,6 +118,57 @@ for (let i = 0; i < args.length; i++) {
     usePreprocessing = false;
   } else if (arg === '--no-postprocessing') {
     usePostprocessing = false;
+  } else if (arg === '--no-normalize') {
+    preprocessorOptions.normalizeAudio = false;
+  } else if (arg === '--no-noise-reduction') {
+    preprocessorOptions.removeNoise = false;
+  } else if (arg === '--noise-reduction' && i + 1 < args.length) {
+    const reductionDb = parseFloat(args[++i]);
+    if (isNaN(reductionDb) || reductionDb <= 0 || reductionDb > 60) {
+      console.error(`Error: Invalid noise reduction: ${args[i]}`);
+      console.error('Noise reduction must be between 0 and 60 dB');
+      process.exit(1);
+    }
+    preprocessorOptions.noiseReductionDb = reductionDb;
+  } else if (arg === '--noise-profile' && i + 1 < args.length) {
+    const value = args[++i];
+    const range = value.match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
+    preprocessorOptions.noiseProfile = range
+      ? { start: parseFloat(range[1]), end: parseFloat(range[2]) }
+      : value;
+  } else if (arg === '--no-transient-preservation') {
+    preprocessorOptions.preserveTransients = false;
+  } else if (arg === '--no-dynamics') {
+    preprocessorOptions.enhanceDynamics = false;
+  } else if (arg === '--no-hum-removal') {
+    preprocessorOptions.removeHum = false;
+  } else if (arg === '--rumble-cutoff' && i + 1 < args.length) {
+    const cutoff = parseFloat(args[++i]);
+    if (isNaN(cutoff) || cutoff < 0 || cutoff > 200) {
+      console.error(`Error: Invalid rumble cutoff: ${args[i]}`);
+      console.error('Rumble cutoff must be between 0 and 200 Hz');
+      process.exit(1);
+    }
+    preprocessorOptions.rumbleFrequency = cutoff;
+  } else if (arg === '--declip') {
+    preprocessorOptions.declip = true;
+  } else if (arg === '--declick') {
+    preprocessorOptions.declick = true;
+  } else if (arg === '--declick-sensitivity' && i + 1 < args.length) {
+    const sensitivity = parseFloat(args[++i]);
+    if (isNaN(sensitivity) || sensitivity < 1 || sensitivity > 10) {
+      console.error(`Error: Invalid declick sensitivity: ${args[i]}`);
+      console.error('Declick sensitivity must be between 1 and 10');
+      process.exit(1);
+    }
+    preprocessorOptions.declickSensitivity = sensitivity;
+  } else if (arg === '--preset' && i + 1 < args.length) {
+    preset = args[++i];
+    if (!PRESETS[preset]) {
+      console.error(`Error: Unknown preset: ${preset}`);
+      console.error(`Valid presets: ${Object.keys(PRESETS).join(', ')}`);
+      process.exit(1);
+    }
   } else if (arg === '--training-mode') {
     trainingMode = true;
   } else if (arg === '--audio-type' && i + 1 < args.length) {
@@ -60,6 +178,97 @@ for (let i = 0; i < args.length; i++) {
       console.error('Valid types: voice, music, ambient, general');
       process.exit(1);
     }
+  } else if (arg === '--mode' && i + 1 < args.length) {
+    modelMode = args[++i];
+    if (!['single', 'mixture'].includes(modelMode)) {
+      console.error(`Error: Invalid model mode: ${modelMode}`);
+      console.error('Valid modes: single, mixture');
+      process.exit(1);
+    }
+  } else if (arg === '--mixture-floor' && i + 1 < args.length) {
+    mixtureFloor = parseFloat(args[++i]);
+    if (isNaN(mixtureFloor) || mixtureFloor < 0.15 || mixtureFloor > 1) {
+      console.error(`Error: Invalid mixture floor: ${args[i]}`);
+      console.error('The mixture floor must be between 0.15 (the minimum specialist weight) and 1');
+      process.exit(1);
+    }
+  } else if (arg === '--sample-rate' && i + 1 < args.length) {
+    targetSampleRate = Number(args[++i]);
+    if (!Number.isInteger(targetSampleRate) || targetSampleRate < 8000 || targetSampleRate > 384000) {
+      console.error(`Error: Invalid sample rate: ${args[i]}`);
+      console.error('The sample rate must be a whole number of Hz between 8000 and 384000');
+      process.exit(1);
+    }
+  } else if (arg === '--bit-depth' && i + 1 < args.length) {
+    targetBitDepth = args[++i];
+    if (!['16', '24', '32', '32f'].includes(targetBitDepth)) {
+      console.error(`Error: Invalid bit depth: ${targetBitDepth}`);
+      console.error('Valid bit depths: 16, 24, 32, 32f');
+      process.exit(1);
+    }
+  } else if (arg === '--format' && i + 1 < args.length) {
+    outputFormat = args[++i];
+    if (!AudioPostprocessor.OUTPUT_FORMATS[outputFormat]) {
+      console.error(`Error: Invalid output format: ${outputFormat}`);
+      console.error(`Valid output formats: ${Object.keys(AudioPostprocessor.OUTPUT_FORMATS).join(', ')}`);
+      process.exit(1);
+    }
+  } else if (arg === '--codec-options' && i + 1 < args.length) {
+    codecOptions = args[++i];
+  } else if (arg === '--no-loudness-match') {
+    postprocessorOptions.matchLoudness = false;
+  } else if (arg === '--loudness-target' && i + 1 < args.length) {
+    const target = args[++i];
+    if (target !== 'original' && !AudioPostprocessor.LOUDNESS_TARGETS[target]) {
+      console.error(`Error: Invalid loudness target: ${target}`);
+      console.error(`Valid loudness targets: original, ${Object.keys(AudioPostprocessor.LOUDNESS_TARGETS).join(', ')}`);
+      process.exit(1);
+    }
+    postprocessorOptions.loudnessTarget = target;
+  } else if (arg === '--no-limiter') {
+    postprocessorOptions.limitTruePeak = false;
+  } else if (arg === '--true-peak' && i + 1 < args.length) {
+    const ceiling = parseFloat(args[++i]);
+    if (isNaN(ceiling) || ceiling < -20 || ceiling > 0) {
+      console.error(`Error: Invalid true-peak ceiling: ${args[i]}`);
+      console.error('True-peak ceiling must be between -20 and 0 dBTP');
+      process.exit(1);
+    }
+    postprocessorOptions.truePeakCeilingDb = ceiling;
+  } else if ((arg === '--exciter' || arg === '--transient-shaper') && i + 1 < args.length) {
+    const amount = parseFloat(args[++i]);
+    if (isNaN(amount) || amount < 0 || amount > 1) {
+      console.error(`Error: Invalid ${arg.slice(2)} amount: ${args[i]}`);
+      console.error('Amount must be between 0 and 1');
+      process.exit(1);
+    }
+    if (arg === '--exciter') {
+      postprocessorOptions.enhanceHarmonics = amount > 0;
+      postprocessorOptions.harmonicAmount = amount;
+    } else {
+      postprocessorOptions.restoreTransients = amount > 0;
+      postprocessorOptions.transientAmount = amount;
+    }
+  } else if (arg === '--dither' && i + 1 < args.length) {
+    const type = args[++i];
+    if (!Ditherer.TYPES.includes(type)) {
+      console.error(`Error: Invalid dither type: ${type}`);
+      console.error(`Valid dither types: ${Ditherer.TYPES.join(', ')}`);
+      process.exit(1);
+    }
+    postprocessorOptions.ditherType = type;
+  } else if (arg === '--crossover' && i + 1 < args.length) {
+    const value = args[++i];
+    if (value === 'off') {
+      crossover = false;
+    } else if (value !== 'auto') {
+      crossoverFrequency = Number(value);
+      if (!Number.isFinite(crossoverFrequency) || crossoverFrequency < 1000) {
+        console.error(`Error: Invalid crossover: ${value}`);
+        console.error('Use auto, off, or a frequency of at least 1000 Hz');
+        process.exit(1);
+      }
+    }
   } else if (!arg.startsWith('--')) {
     if (inputPath === null) {
       inputPath = arg;
@@ -69,12 +278,34 @@ for (let i = 0; i < args.length; i++) {
   }
 }
 
+// Fill in preset settings the user did not set explicitly
+if (preset) {
+  for (const [key, value] of Object.entries(PRESETS[preset])) {
+    if (!(key in preprocessorOptions)) {
+      preprocessorOptions[key] = value;
+    }
+  }
+}
+
 // Check if we have enough arguments
 if (inputPath === null || outputPath === null) {
   console.error('Error: Input and output files are required');
   showHelp();
 }
 
+// Reject unusable output and postprocessing settings before anything is loaded
+try {
+  new AudioPostprocessor(postprocessorOptions).resolveEncoding(outputPath, {
+    name: outputFormat,
+    sampleRate: targetSampleRate,
+    bitDepth: targetBitDepth,
+    codecOptions
+  });
+} catch (err) {
+  console.error(`Error: ${err.message}`);
+  process.exit(1);
+}
+
 async function main() {
   try {
     console.log('\nNeural Audio Upscaler CLI');
@@ -93,15 +324,65 @@ async function main() {
     const audioUpscaler = new AudioUpscaler({
       usePreprocessing,
       usePostprocessing,
+      preprocessorOptions,
+      postprocessorOptions,
       trainingMode,
-      preserveQuality: true
+      preserveQuality: true,
+      modelMode,
+      mixtureFloor,
+      targetSampleRate,
+      targetBitDepth,
+      outputFormat,
+      codecOptions,
+      crossover,
+      crossoverFrequency
     });
     
     // Log configuration
     console.log('\nConfiguration:');
     console.log(`- Preprocessing: ${usePreprocessing ? 'Enabled' : 'Disabled'}`);
+    const skippedStages = Object.keys(preprocessorOptions).filter(key => preprocessorOptions[key] === false);
+    if (usePreprocessing && skippedStages.length > 0) {
+      console.log(`  Skipping: ${skippedStages.join(', ')}`);
+    }
+    if (usePreprocessing && preset) {
+      console.log(`  Preset: ${preset}`);
+    }
+    if (usePreprocessing && preprocessorOptions.declip) {
+      console.log('  Declipping: Enabled');
+    }
+    if (usePreprocessing && preprocessorOptions.declick) {
+      console.log(`  De-click: Enabled (sensitivity ${preprocessorOptions.declickSensitivity || 5})`);
+    }
     console.log(`- Postprocessing: ${usePostprocessing ? 'Enabled' : 'Disabled'}`);
     console.log(`- Training mode: ${trainingMode ? 'Enabled' : 'Disabled'}`);
+    console.log(`- Model mode: ${modelMode}${modelMode === 'mixture' ? ` (floor ${mixtureFloor})` : ''}`);
+    if (targetSampleRate) {
+      console.log(`- Output sample rate: ${targetSampleRate} Hz`);
+    }
+    if (targetBitDepth) {
+      console.log(`- Output bit depth: ${targetBitDepth}`);
+    }
+    if (outputFormat || codecOptions) {
+      console.log(`- Output format: ${outputFormat || 'from extension'}${codecOptions ? ` (${codecOptions})` : ''}`);
+    }
+    if (usePostprocessing) {
+      const target = AudioPostprocessor.LOUDNESS_TARGETS[postprocessorOptions.loudnessTarget];
+      const loudness = target
+        ? `${postprocessorOptions.loudnessTarget} (${target.integratedLufs} LUFS)`
+        : postprocessorOptions.matchLoudness === false ? 'off' : 'original';
+      const ceiling = postprocessorOptions.truePeakCeilingDb !== undefined
+        ? postprocessorOptions.truePeakCeilingDb
+        : target ? target.truePeakDb : -1;
+      console.log(`  Loudness: ${loudness}, true-peak limiter: ${postprocessorOptions.limitTruePeak === false ? 'off' : `${ceiling} dBTP`}`);
+      if (postprocessorOptions.enhanceHarmonics || postprocessorOptions.restoreTransients) {
+        console.log(`  Harmonic exciter: ${postprocessorOptions.enhanceHarmonics ? postprocessorOptions.harmonicAmount : 'off'}, transient shaper: ${postprocessorOptions.restoreTransients ? postprocessorOptions.transientAmount : 'off'}`);
+      }
+    }
+    if (postprocessorOptions.ditherType) {
+      console.log(`- Dither: ${postprocessorOptions.ditherType}`);
+    }
+    console.log(`- Crossover: ${crossover ? (crossoverFrequency === 'auto' ? 'auto (detected bandwidth)' : `${crossoverFrequency} Hz`) : 'off'}`);
     if (audioType) {
       console.log(`- Forced audio type: ${audioType}`);
     }
@@ -124,6 +405,66 @@ async function main() {
       console.log(`Detected audio type: ${result.audioType}`);
     }
     
+    if (result && result.audioInfo && result.audioInfo.clipping && result.audioInfo.clipping.clippedRuns > 0) {
+      const { clippedRuns, clippedPercent, locations } = result.audioInfo.clipping;
+      console.log(`Clipping: ${clippedRuns} clipped runs, ${clippedPercent.toFixed(3)}% of samples${preprocessorOptions.declip ? ' (reconstructed)' : ' (use --declip to reconstruct)'}`);
+      const first = locations.slice(0, 5).map(location => `${location.time.toFixed(2)}s`);
+      console.log(`  First at: ${first.join(', ')}${clippedRuns > first.length ? ', ...' : ''}`);
+    }
+    
+    if (result && result.loudness) {
+      const { target: targetName, targetLufs, before, after } = result.loudness;
+      const target = Number.isFinite(targetLufs) ? ` (${targetName} target ${targetLufs.toFixed(1)} LUFS)` : '';
+      console.log(`Postprocessing: ${before.integratedLufs.toFixed(1)} -> ${after.integratedLufs.toFixed(1)} LUFS${target}, true peak ${before.truePeakDb.toFixed(1)} -> ${after.truePeakDb.toFixed(1)} dBTP`);
+    }
+    
+    if (result && result.dither && result.dither !== 'none') {
+      console.log(`Dither: ${result.dither} at ${result.bitDepth}-bit`);
+    }
+    
+    if (result && result.output) {
+      const { format, codec, bitDepth, mode, bitrate, quality, compression } = result.output;
+      const settings = bitDepth
+        ? [`${bitDepth}-bit`, compression !== null ? `compression ${compression}` : null]
+        : [mode, quality !== null ? `quality ${quality}` : `${bitrate} kbps`];
+      console.log(`Output format: ${format} (${codec}, ${settings.filter(Boolean).join(', ')})`);
+    }
+    
+    if (result && result.sampleRate && result.sampleRate !== result.sourceSampleRate) {
+      console.log(`Resampled: ${result.sourceSampleRate} Hz -> ${result.sampleRate} Hz`);
+    }
+    
+    if (result && result.bandwidth) {
+      const { cutoffFrequency, bandLimited, restoredBandwidth, restoredEnergyRatio } = result.bandwidth;
+      console.log(`Source bandwidth: ${(cutoffFrequency / 1000).toFixed(1)} kHz${bandLimited ? ' (band-limited)' : ''}`);
+      console.log(`Restored: ${(restoredBandwidth / 1000).toFixed(1)} kHz of new bandwidth, ${(restoredEnergyRatio * 100).toFixed(2)}% of output energy`);
+    }
+    
+    if (result && result.levels) {
+      const { source, output } = result.levels;
+      const format = (value, unit) => (Number.isFinite(value) ? `${value.toFixed(1)} ${unit}` : 'silent');
+      console.log(`Loudness: ${format(source.integratedLufs, 'LUFS')} -> ${format(output.integratedLufs, 'LUFS')} (range ${output.loudnessRangeLu.toFixed(1)} LU)`);
+      console.log(`True peak: ${format(source.truePeakDb, 'dBTP')} -> ${format(output.truePeakDb, 'dBTP')}, noise floor ${format(output.noiseFloorDb, 'dBFS')}`);
+    }
+    
+    if (result && result.crossoverFrequency) {
+      console.log(`Crossover: original below ${(result.crossoverFrequency / 1000).toFixed(1)} kHz, model output above`);
+    }
+    
+    if (result && result.modelWeights && result.modelWeights.length > 1) {
+      console.log('Model mixture:');
+      for (const { type, weight } of result.modelWeights) {
+        console.log(`  ${type}: ${(weight * 100).toFixed(1)}%`);
+      }
+    }
+    
+    if (result && result.timeline && result.timeline.length > 1) {
+      console.log(`Content timeline${result.segmentRouting ? ' (routed per segment)' : ''}:`);
+      for (const segment of result.timeline) {
+        console.log(`  ${segment.start.toFixed(1)}s - ${segment.end.toFixed(1)}s: ${segment.type}`);
+      }
+    }
+    
   } catch (error) {
     console.error('\nError:', error.message);
     process.exit(1);
@@ -71,17 +71,40 @@ ipcMain.handle('select-save-location', async (event, originalPath) => {
 });
 
 // Handle audio upscaling
-ipcMain.handle('upscale-audio', async (event, inputPath, outputPath) => {
+ipcMain.handle('upscale-audio', async (event, inputPath, outputPath, options = {}) => {
   try {
+    // Apply processing options chosen in the UI
+    if (options.modelMode) {
+      audioUpscaler.options.modelMode = options.modelMode === 'mixture' ? 'mixture' : 'single';
+    }
+    if (options.targetSampleRate !== undefined) {
+      audioUpscaler.options.targetSampleRate = options.targetSampleRate ? Number(options.targetSampleRate) : null;
+    }
+    if (options.targetBitDepth !== undefined) {
+      audioUpscaler.options.targetBitDepth = options.targetBitDepth || null;
+    }
+    if (options.loudnessTarget !== undefined) {
+      audioUpscaler.postprocessor.options.loudnessTarget = options.loudnessTarget || 'original';
+    }
+    
     // Set up progress reporting
     audioUpscaler.onProgress((progress) => {
       mainWindow.webContents.send('upscaling-progress', progress);
     });
     
     // Perform upscaling
-    await audioUpscaler.upscale(inputPath, outputPath);
+    const result = await audioUpscaler.upscale(inputPath, outputPath);
     
-    return { success: true };
+    return {
+      success: true,
+      audioType: result.audioType,
+      modelWeights: result.modelWeights,
+      sampleRate: result.sampleRate,
+      bitDepth: result.bitDepth,
+      dither: result.dither,
+      loudness: result.loudness,
+      bandwidth: result.bandwidth
+    };
   } catch (error) {
     console.error('Upscaling error:', error);
     return { 
@@ -4,7 +4,7 @@ const path = require('path');
 contextBridge.exposeInMainWorld('audioUpscaler', {
   selectFile: () => ipcRenderer.invoke('select-file'),
   selectSaveLocation: (originalPath) => ipcRenderer.invoke('select-save-location', originalPath),
-  upscaleAudio: (inputPath, outputPath) => ipcRenderer.invoke('upscale-audio', inputPath, outputPath),
+  upscaleAudio: (inputPath, outputPath, options) => ipcRenderer.invoke('upscale-audio', inputPath, outputPath, options),
   onProgress: (callback) => {
     ipcRenderer.on('upscaling-progress', (_, progress) => callback(progress));
     return () => ipcRenderer.removeAllListeners('upscaling-progress');
@@ -1,6 +1,10 @@
 document.addEventListener('DOMContentLoaded', () => {
   const uploadBtn = document.getElementById('upload-btn');
   const terminal = document.getElementById('terminal');
+  const modelMode = document.getElementById('model-mode');
+  const sampleRate = document.getElementById('sample-rate');
+  const bitDepth = document.getElementById('bit-depth');
+  const loudnessTarget = document.getElementById('loudness-target');
   
   let isProcessing = false;
   
@@ -32,6 +36,16 @@ document.addEventListener('DOMContentLoaded', () => {
     bar.style.width = `${percent}%`;
   }
   
+  // Collect processing options from the UI
+  function getOptions() {
+    return {
+      modelMode: modelMode.value,
+      targetSampleRate: sampleRate.value,
+      targetBitDepth: bitDepth.value,
+      loudnessTarget: loudnessTarget.value
+    };
+  }
+  
   // Handle file selection and upscaling
   uploadBtn.addEventListener('click', async () => {
     if (isProcessing) return;
@@ -59,7 +73,8 @@ document.addEventListener('DOMContentLoaded', () => {
       isProcessing = true;
       uploadBtn.disabled = true;
       
-      log('Starting audio upscaling process...', 'info');
+      const options = getOptions();
+      log(`Starting audio upscaling process (${options.modelMode} model mode)...`, 'info');
       
       // Create progress bar
       const progressBar = createProgressBar();
@@ -79,7 +94,7 @@ document.addEventListener('DOMContentLoaded', () => {
       });
       
       // Perform upscaling
-      const result = await window.audioUpscaler.upscaleAudio(inputPath, outputPath);
+      const result = await window.audioUpscaler.upscaleAudio(inputPath, outputPath, options);
       
       // Clean up progress handler
       progressHandler();
@@ -88,6 +103,12 @@ document.addEventListener('DOMContentLoaded', () => {
       if (result.success) {
         log('Upscaling completed successfully!', 'success');
         log(`Enhanced audio saved to: ${outputPath}`, 'success');
+        if (result.bandwidth) {
+          log(`Source bandwidth ${(result.bandwidth.cutoffFrequency / 1000).toFixed(1)} kHz, restored ${(result.bandwidth.restoredBandwidth / 1000).toFixed(1)} kHz above it`, 'info');
+        }
+        if (result.loudness) {
+          log(`Loudness ${result.loudness.after.integratedLufs.toFixed(1)} LUFS (${result.loudness.target}), true peak ${result.loudness.after.truePeakDb.toFixed(1)} dBTP`, 'info');
+        }
       } else {
         log(`Error: ${result.error}`, 'error');
       }
@@ -7,6 +7,8 @@ const { exec } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
 const AudioUpscaler = require('./src/audioUpscaler');
+const { Ditherer } = require('./src/ditherer');
+const { AudioPostprocessor } = require('./src/audioPostprocessor');
 
 const app = express();
 const port = 12000; // Using the assigned port
@@ -50,8 +52,16 @@ app.post('/upscale', upload.single('audio'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
     
+    if (req.body.format && !AudioPostprocessor.OUTPUT_FORMATS[req.body.format]) {
+      return res.status(400).json({ error: `Format must be one of ${Object.keys(AudioPostprocessor.OUTPUT_FORMATS).join(', ')}` });
+    }
+    
+    // An explicit format names the download with its own extension
     const inputPath = req.file.path;
-    const outputPath = `${inputPath}_upscaled${path.extname(req.file.originalname)}`;
+    const extension = req.body.format
+      ? AudioPostprocessor.OUTPUT_FORMATS[req.body.format].extension
+      : path.extname(req.file.originalname);
+    const outputPath = `${inputPath}_upscaled${extension}`;
     
     console.log(`Processing file: ${inputPath}`);
     console.log('Options:', req.body);
@@ -62,11 +72,78 @@ app.post('/upscale', upload.single('audio'), async (req, res) => {
       usePostprocessing: req.body.usePostprocessing === 'true',
       trainingMode: req.body.trainingMode === 'true',
       preserveQuality: req.body.preserveQuality === 'true',
-      audioType: req.body.audioType === 'auto' ? null : req.body.audioType
+      audioType: req.body.audioType === 'auto' ? null : req.body.audioType,
+      modelMode: req.body.modelMode === 'mixture' ? 'mixture' : 'single'
     };
     
+    if (req.body.mixtureFloor !== undefined) {
+      const mixtureFloor = parseFloat(req.body.mixtureFloor);
+      if (isNaN(mixtureFloor) || mixtureFloor < 0.15 || mixtureFloor > 1) {
+        return res.status(400).json({ error: 'Mixture floor must be between 0.15 (the minimum specialist weight) and 1' });
+      }
+      options.mixtureFloor = mixtureFloor;
+    }
+    
+    if (req.body.targetSampleRate && req.body.targetSampleRate !== 'source') {
+      const targetSampleRate = Number(req.body.targetSampleRate);
+      if (!Number.isInteger(targetSampleRate) || targetSampleRate < 8000 || targetSampleRate > 384000) {
+        return res.status(400).json({ error: 'Sample rate must be a whole number of Hz between 8000 and 384000' });
+      }
+      options.targetSampleRate = targetSampleRate;
+    }
+    
+    if (req.body.targetBitDepth && req.body.targetBitDepth !== 'default') {
+      if (!['16', '24', '32', '32f'].includes(req.body.targetBitDepth)) {
+        return res.status(400).json({ error: 'Bit depth must be one of 16, 24, 32, 32f' });
+      }
+      options.targetBitDepth = req.body.targetBitDepth;
+    }
+    
+    if (req.body.dither) {
+      if (!Ditherer.TYPES.includes(req.body.dither)) {
+        return res.status(400).json({ error: `Dither must be one of ${Ditherer.TYPES.join(', ')}` });
+      }
+      options.postprocessorOptions = { ...options.postprocessorOptions, ditherType: req.body.dither };
+    }
+    
+    if (req.body.loudnessTarget && req.body.loudnessTarget !== 'original') {
+      if (!AudioPostprocessor.LOUDNESS_TARGETS[req.body.loudnessTarget]) {
+        return res.status(400).json({ error: `Loudness target must be original or one of ${Object.keys(AudioPostprocessor.LOUDNESS_TARGETS).join(', ')}` });
+      }
+      options.postprocessorOptions = { ...options.postprocessorOptions, loudnessTarget: req.body.loudnessTarget };
+    }
+    
+    if (req.body.format) {
+      options.outputFormat = req.body.format;
+    }
+    if (req.body.codecOptions) {
+      options.codecOptions = req.body.codecOptions;
+    }
+    
+    if (req.body.crossover === 'off') {
+      options.crossover = false;
+    } else if (req.body.crossover && req.body.crossover !== 'auto') {
+      const crossoverFrequency = Number(req.body.crossover);
+      if (!Number.isFinite(crossoverFrequency) || crossoverFrequency < 1000) {
+        return res.status(400).json({ error: 'Crossover must be auto, off, or a frequency of at least 1000 Hz' });
+      }
+      options.crossoverFrequency = crossoverFrequency;
+    }
+    
     console.log('Parsed options:', options);
     
+    // Reject unusable encoder settings before loading anything
+    try {
+      new AudioPostprocessor(options.postprocessorOptions).resolveEncoding(outputPath, {
+        name: options.outputFormat || null,
+        sampleRate: options.targetSampleRate || null,
+        bitDepth: options.targetBitDepth || null,
+        codecOptions: options.codecOptions || null
+      });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    
     // Initialize upscaler with options
     const upscaler = new AudioUpscaler(options);
     
@@ -80,7 +157,16 @@ app.post('/upscale', upload.single('audio'), async (req, res) => {
       success: true,
       originalName: req.file.originalname,
       processedFile: `/download?file=${path.basename(outputPath)}`,
-      audioType: result.audioType || 'unknown'
+      audioType: result.audioType || 'unknown',
+      timeline: result.timeline || [],
+      modelWeights: result.modelWeights || [],
+      sampleRate: result.sampleRate,
+      bitDepth: result.bitDepth,
+      dither: result.dither,
+      output: result.output,
+      loudness: result.loudness || null,
+      bandwidth: result.bandwidth || null,
+      crossoverFrequency: result.crossoverFrequency || null
     });
   } catch (error) {
     console.error('Error processing audio:', error);
@@ -1,6 +1,127 @@
 const fs = require('fs').promises;
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
+const { WavReader } = require('./wavReader');
+const { WavWriter } = require('./wavWriter');
+const { Ditherer } = require('./ditherer');
+const { LoudnessMeter } = require('./loudnessMeter');
+const { TruePeakLimiter } = require('./truePeakLimiter');
+const { HarmonicExciter } = require('./harmonicExciter');
+const { TransientShaper } = require('./transientShaper');
+const { Resampler } = require('./resampler');
+
+// PCM codecs for each bit depth accepted by WavWriter
+const PCM_CODECS = {
+  '16': 'pcm_s16le',
+  '24': 'pcm_s24le',
+  '32': 'pcm_s32le',
+  '32f': 'pcm_f32le'
+};
+
+// Big-endian PCM codecs for AIFF
+const AIFF_CODECS = {
+  '16': 'pcm_s16be',
+  '24': 'pcm_s24be',
+  '32': 'pcm_s32be',
+  '32f': 'pcm_f32be'
+};
+
+// Output formats and the settings each encoder takes. Lossless formats list
+// the bit depths they store (24-bit in a 32-bit sample format where noted);
+// lossy ones list their modes and the setting each mode is controlled by,
+// with bitrates in kbps and VBR quality on the encoder's own scale.
+const OUTPUT_FORMATS = {
+  wav: { extension: '.wav', muxer: 'wav', codecs: PCM_CODECS, bitDepths: ['16', '24', '32', '32f'] },
+  aiff: { extension: '.aiff', muxer: 'aiff', codecs: AIFF_CODECS, bitDepths: ['16', '24', '32', '32f'] },
+  flac: {
+    extension: '.flac',
+    muxer: 'flac',
+    codec: 'flac',
+    bitDepths: ['16', '24'],
+    sampleFormats: { '16': 's16', '24': 's32' },
+    compression: { min: 0, max: 12, default: 8 }
+  },
+  alac: {
+    extension: '.m4a',
+    muxer: 'ipod',
+    codec: 'alac',
+    bitDepths: ['16', '24'],
+    sampleFormats: { '16': 's16p', '24': 's32p' }
+  },
+  wavpack: {
+    extension: '.wv',
+    muxer: 'wv',
+    codec: 'wavpack',
+    bitDepths: ['16', '24', '32', '32f'],
+    sampleFormats: { '16': 's16p', '24': 's32p', '32': 's32p', '32f': 'fltp' },
+    compression: { min: 0, max: 8, default: 3 }
+  },
+  mp3: {
+    extension: '.mp3',
+    muxer: 'mp3',
+    codec: 'libmp3lame',
+    modes: { cbr: 'bitrate', vbr: 'quality' },
+    defaultMode: 'cbr',
+    bitrate: { min: 32, max: 320, default: 320 },
+    quality: { min: 0, max: 9, default: 0 }, // 0 is best
+    maxSampleRate: 48000
+  },
+  vorbis: {
+    extension: '.ogg',
+    muxer: 'ogg',
+    codec: 'libvorbis',
+    modes: { vbr: 'quality', cbr: 'bitrate' },
+    defaultMode: 'vbr',
+    bitrate: { min: 45, max: 500, default: 320 },
+    quality: { min: -1, max: 10, default: 10 } // 10 is best
+  },
+  opus: {
+    extension: '.opus',
+    muxer: 'opus',
+    codec: 'libopus',
+    modes: { vbr: 'bitrate', cvbr: 'bitrate', cbr: 'bitrate' },
+    defaultMode: 'vbr',
+    bitrate: { min: 6, max: 510, default: 256 },
+    fixedSampleRate: 48000 // Opus always decodes at 48 kHz
+  },
+  aac: {
+    extension: '.m4a',
+    muxer: 'ipod',
+    codec: 'aac',
+    modes: { cbr: 'bitrate' },
+    defaultMode: 'cbr',
+    bitrate: { min: 32, max: 512, default: 320 }
+  }
+};
+
+// Format chosen for each output extension when none is given; anything else is WAV
+const EXTENSION_FORMATS = {
+  '.wav': 'wav',
+  '.aif': 'aiff',
+  '.aiff': 'aiff',
+  '.flac': 'flac',
+  '.wv': 'wavpack',
+  '.mp3': 'mp3',
+  '.ogg': 'vorbis',
+  '.oga': 'vorbis',
+  '.opus': 'opus',
+  '.m4a': 'aac'
+};
+
+// libopus spells its modes differently
+const OPUS_VBR_MODES = { vbr: 'on', cvbr: 'constrained', cbr: 'off' };
+
+const CODEC_OPTIONS = ['mode', 'bitrate', 'quality', 'compression'];
+
+// Delivery targets: integrated loudness and the true-peak ceiling that goes with it
+const LOUDNESS_TARGETS = {
+  podcast: { integratedLufs: -16, truePeakDb: -1 },
+  streaming: { integratedLufs: -14, truePeakDb: -1 },
+  broadcast: { integratedLufs: -23, truePeakDb: -1 } // EBU R128
+};
+
+// Ceiling used when matching the original rather than a delivery target
+const DEFAULT_TRUE_PEAK_CEILING = -1;
 
 /**
  * AudioPostprocessor handles final quality enhancement after neural upscaling
@@ -10,12 +131,35 @@ class AudioPostprocessor {
   constructor(options = {}) {
     this.options = {
       preserveOriginalCharacter: true,
-      enhanceHarmonics: true,
-      restoreTransients: true,
+      enhanceHarmonics: false, // Synthesize the band above the source cutoff from the octave below it
+      harmonicAmount: 0.5, // 0 to 1
+      restoreTransients: false, // Boost attacks dulled by lossy encoding
+      transientAmount: 0.5, // 0 to 1
       applyDithering: true,
-      matchLoudness: true,
+      ditherType: 'tpdf', // See Ditherer.TYPES; used whenever the output has integer samples
+      matchLoudness: true, // Bring integrated loudness back to the original's
+      loudnessTarget: 'original', // 'original', or a delivery target from LOUDNESS_TARGETS
+      limitTruePeak: true,
+      truePeakCeilingDb: null, // dBTP ceiling for the look-ahead limiter; null uses the target's
       ...options
     };
+    
+    if (!Ditherer.TYPES.includes(this.options.ditherType)) {
+      throw new Error(`Unknown dither type: ${this.options.ditherType} (expected one of ${Ditherer.TYPES.join(', ')})`);
+    }
+    for (const name of ['harmonicAmount', 'transientAmount']) {
+      if (!(this.options[name] >= 0 && this.options[name] <= 1)) {
+        throw new Error(`${name} must be between 0 and 1, got ${this.options[name]}`);
+      }
+    }
+    
+    this.wavReader = new WavReader();
+    this.wavWriter = new WavWriter({ clipProtection: 'clip' });
+    this.loudnessMeter = new LoudnessMeter();
+    this.resampler = new Resampler();
+    
+    // Reject an unknown target up front rather than after inference
+    this.resolveLoudnessTarget();
   }
 
   /**
@@ -25,71 +169,125 @@ class AudioPostprocessor {
    * @param {string} outputPath - Path to save postprocessed audio
    * @param {Object} audioInfo - Original audio properties
    * @param {function} progressCallback - Callback for progress updates
+   * @param {Object} format - Optional { name, sampleRate, bitDepth, codecOptions }
+   *   for the output file, see resolveEncoding
+   * @param {Object} bandwidth - Source bandwidth from ContentAnalyzer.detectBandwidth;
+   *   the harmonic exciter fills the band above its cutoffFrequency
+   * @returns {Object} { upscaledInfo, appliedFilters, bitDepth, dither, output, loudness }
+   *   with output the encoder settings from resolveEncoding, loudness as
+   *   { target, targetLufs, ceilingDb, before, after } and before/after as
+   *   { integratedLufs, truePeakDb }
    */
-  async postprocess(inputPath, originalPath, outputPath, audioInfo, progressCallback) {
+  async postprocess(inputPath, originalPath, outputPath, audioInfo, progressCallback, format = {}, bandwidth = null) {
     try {
       // Report initial progress
       if (progressCallback) progressCallback(0);
       
-      // Create filter chain based on enabled options
-      const filters = [];
+      const appliedFilters = [];
       
       // Analyze upscaled audio
-      const upscaledInfo = await this.analyzeAudio(inputPath);
+      const audio = await this.wavReader.readFile(inputPath);
+      const upscaledInfo = this.describeAudio(audio);
       console.log('Upscaled audio properties:', upscaledInfo);
       
-      // Skip filters entirely to avoid compatibility issues
+      // Convert to the output rate first so the true-peak limiter sees the
+      // samples that are encoded; resampling can raise inter-sample peaks
+      const encoding = this.resolveEncoding(outputPath, format);
+      const sampleRate = this.resolveOutputSampleRate(encoding, audio.sampleRate);
+      let channels = audio.channels;
+      let currentLufs = upscaledInfo.integratedLufs;
+      if (sampleRate !== audio.sampleRate) {
+        console.log(`Resampling ${audio.sampleRate} Hz -> ${sampleRate} Hz for ${encoding.format} output`);
+        channels = this.resampleChannels(channels, audio.sampleRate, sampleRate);
+        currentLufs = this.loudnessMeter.measure(channels, sampleRate).integratedLufs;
+      }
+      
+      if (this.options.enhanceHarmonics) {
+        const cutoffFrequency = bandwidth ? bandwidth.cutoffFrequency : null;
+        const exciter = new HarmonicExciter({ amount: this.options.harmonicAmount });
+        const report = exciter.process(channels, sampleRate, cutoffFrequency);
+        if (report) {
+          appliedFilters.push({ name: 'harmonicExciter', ...report });
+        } else {
+          console.log('Harmonic exciter skipped: no band-limited source octave to excite');
+        }
+      }
+      
+      if (this.options.restoreTransients) {
+        const shaper = new TransientShaper({ amount: this.options.transientAmount });
+        appliedFilters.push({ name: 'transientShaper', ...shaper.process(channels, sampleRate) });
+      }
+      
+      // Both stages change the level; measure again before matching it
+      if (appliedFilters.length > 0) {
+        currentLufs = this.loudnessMeter.measure(channels, sampleRate).integratedLufs;
+      }
+      
+      if (progressCallback) progressCallback(10);
+      
+      // Synthesized high frequencies add loudness and peaks; bring the level
+      // back to the original's or to the delivery target, then keep the new
+      // peaks under the ceiling
+      const target = this.resolveLoudnessTarget();
+      let targetLufs = target.integratedLufs;
+      if (targetLufs === null && this.options.matchLoudness) {
+        targetLufs = audioInfo && Number.isFinite(audioInfo.integratedLufs)
+          ? audioInfo.integratedLufs
+          : await this.measureOriginal(originalPath, `${outputPath}.original.wav`);
+      }
+      if (targetLufs !== null) {
+        const gainDb = this.applyLoudnessMatch(channels, currentLufs, targetLufs);
+        if (gainDb !== 0) {
+          appliedFilters.push({ name: 'loudnessMatch', target: target.name, targetLufs, gainDb });
+        }
+      }
+      
+      if (progressCallback) progressCallback(20);
+      
+      if (this.options.limitTruePeak) {
+        const limiter = new TruePeakLimiter({ ceilingDb: target.ceilingDb });
+        const report = limiter.process(channels, sampleRate);
+        if (report.limitedSamples > 0) {
+          appliedFilters.push({ name: 'truePeakLimiter', ...report });
+        }
+      }
+      
+      const after = this.loudnessMeter.measure(channels, sampleRate);
+      const loudness = {
+        target: target.name,
+        targetLufs,
+        ceilingDb: this.options.limitTruePeak ? target.ceilingDb : null,
+        before: { integratedLufs: upscaledInfo.integratedLufs, truePeakDb: upscaledInfo.truePeakDb },
+        after: { integratedLufs: after.integratedLufs, truePeakDb: after.truePeakDb }
+      };
       
       // Progress update
       if (progressCallback) progressCallback(30);
       
-      // Apply all filters and convert to desired output format
-      await new Promise((resolve, reject) => {
-        let ffmpegCommand = ffmpeg(inputPath);
-        
-        // Determine output format based on file extension
-        const ext = path.extname(outputPath).toLowerCase();
-        
-        // Apply appropriate encoding settings based on format
-        if (ext === '.mp3') {
-          ffmpegCommand = ffmpegCommand
-            .audioCodec('libmp3lame')
-            .audioBitrate('320k');
-        } else if (ext === '.flac') {
-          ffmpegCommand = ffmpegCommand
-            .audioCodec('flac')
-            .audioQuality(0);
-        } else if (ext === '.ogg') {
-          ffmpegCommand = ffmpegCommand
-            .audioCodec('libvorbis')
-            .audioQuality(10);
-        } else if (ext === '.m4a') {
-          ffmpegCommand = ffmpegCommand
-            .audioCodec('aac')
-            .audioBitrate('320k');
-        } else {
-          // Default to high-quality WAV
-          ffmpegCommand = ffmpegCommand
-            .audioCodec('pcm_s24le');
+      // Quantize with dither and convert to the desired output format
+      const { bitDepth, dither, output } = await this.writeOutput(
+        channels,
+        sampleRate,
+        outputPath,
+        format,
+        progress => {
+          if (progressCallback) progressCallback(30 + progress * 0.7);
         }
-        
-        ffmpegCommand
-          .on('progress', progress => {
-            if (progressCallback && progress.percent) {
-              progressCallback(30 + progress.percent * 0.6);
-            }
-          })
-          .on('end', resolve)
-          .on('error', reject)
-          .save(outputPath);
-      });
+      );
+      if (dither !== 'none') {
+        appliedFilters.push({ name: 'dither', type: dither, bitDepth });
+      }
       
       // Final progress update
       if (progressCallback) progressCallback(100);
       
       return {
         upscaledInfo,
-        appliedFilters: filters
+        appliedFilters,
+        bitDepth,
+        dither,
+        output,
+        loudness
       };
     } catch (error) {
       console.error('Error during postprocessing:', error);
@@ -98,60 +296,385 @@ class AudioPostprocessor {
   }
   
   /**
-   * Analyze audio properties
-   * @param {string} filePath - Path to audio file
-   * @returns {Object} Audio properties
+   * Resolve the loudness target option
+   * @returns {Object} { name, integratedLufs, ceilingDb } with integratedLufs
+   *   null when matching the original
    */
-  async analyzeAudio(filePath) {
-    return new Promise((resolve, reject) => {
-      let sampleRate = 44100;
-      let channels = 2;
-      let duration = 0;
-      let bitDepth = 16;
-      let peakLevel = -100;
-      
-      ffmpeg.ffprobe(filePath, (err, metadata) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-        
-        // Extract basic audio properties
-        if (metadata.streams && metadata.streams.length > 0) {
-          const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
-          if (audioStream) {
-            sampleRate = audioStream.sample_rate ? parseInt(audioStream.sample_rate) : 44100;
-            channels = audioStream.channels || 2;
-            duration = audioStream.duration ? parseFloat(audioStream.duration) : 0;
-            bitDepth = audioStream.bits_per_sample || 16;
-          }
-        }
-        
-        // For peak level, we need to run a separate command
-        ffmpeg(filePath)
-          .audioFilters('volumedetect')
-          .format('null')
-          .on('stderr', line => {
-            const maxVolumeMatch = line.match(/max_volume: (-?\d+\.?\d*)/);
-            if (maxVolumeMatch) {
-              peakLevel = parseFloat(maxVolumeMatch[1]);
+  resolveLoudnessTarget() {
+    const { loudnessTarget, truePeakCeilingDb } = this.options;
+    const name = loudnessTarget || 'original';
+    if (name !== 'original' && !LOUDNESS_TARGETS[name]) {
+      throw new Error(`Unknown loudness target: ${name} (expected original or one of ${Object.keys(LOUDNESS_TARGETS).join(', ')})`);
+    }
+    
+    const target = LOUDNESS_TARGETS[name];
+    const ceilingDb = truePeakCeilingDb !== null && truePeakCeilingDb !== undefined
+      ? truePeakCeilingDb
+      : target ? target.truePeakDb : DEFAULT_TRUE_PEAK_CEILING;
+    
+    return {
+      name,
+      integratedLufs: target ? target.integratedLufs : null,
+      ceilingDb
+    };
+  }
+  
+  /**
+   * Scale channels in place from one integrated loudness to another
+   * @param {Array<Float32Array>} channels - Per-channel samples, modified in place
+   * @param {number} currentLufs - Integrated loudness of the channels
+   * @param {number} targetLufs - Integrated loudness to reach
+   * @returns {number} Gain applied in dB; 0 when either loudness is unmeasurable (silence)
+   */
+  applyLoudnessMatch(channels, currentLufs, targetLufs) {
+    if (!Number.isFinite(currentLufs) || !Number.isFinite(targetLufs)) {
+      return 0;
+    }
+    
+    const gainDb = targetLufs - currentLufs;
+    const gain = Math.pow(10, gainDb / 20);
+    for (const samples of channels) {
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] *= gain;
+      }
+    }
+    return gainDb;
+  }
+  
+  /**
+   * Integrated loudness of the original file, decoded with ffmpeg
+   * @param {string} originalPath - Original input file, in any format ffmpeg reads
+   * @param {string} tempPath - Scratch WAV path, removed afterwards
+   * @returns {number} Integrated loudness in LUFS
+   */
+  async measureOriginal(originalPath, tempPath) {
+    try {
+      await new Promise((resolve, reject) => {
+        ffmpeg(originalPath)
+          .audioCodec('pcm_f32le')
+          .on('end', resolve)
+          .on('error', reject)
+          .save(tempPath);
+      });
+      
+      const { channels, sampleRate } = await this.wavReader.readFile(tempPath);
+      return this.loudnessMeter.measure(channels, sampleRate).integratedLufs;
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  }
+  
+  /**
+   * Convert a WAV to the output format without any postprocessing stages,
+   * still dithering when the output has fewer bits than the input
+   * @param {string} inputPath - Path to the WAV to convert
+   * @param {string} outputPath - Output path
+   * @param {Object} format - Optional { name, sampleRate, bitDepth, codecOptions }, see resolveEncoding
+   * @param {function} progressCallback - Callback for progress updates
+   * @returns {Object} { bitDepth, dither, output }
+   */
+  async encode(inputPath, outputPath, format = {}, progressCallback) {
+    const audio = await this.wavReader.readFile(inputPath);
+    return this.writeOutput(audio.channels, audio.sampleRate, outputPath, format, progressCallback);
+  }
+  
+  /**
+   * Write samples to the output file. Integer PCM outputs are quantized here,
+   * with dither, so ffmpeg only has to repackage them; lossy codecs get float.
+   * @param {Array<Float32Array>} channels - Per-channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @param {string} outputPath - Output path
+   * @param {Object} format - Optional { name, sampleRate, bitDepth, codecOptions }, see resolveEncoding
+   * @param {function} progressCallback - Callback for progress updates
+   * @returns {Object} { bitDepth, dither, output } with bitDepth null for lossy
+   *   outputs and output the resolved encoder settings
+   */
+  async writeOutput(channels, sampleRate, outputPath, format = {}, progressCallback) {
+    const output = this.resolveEncoding(outputPath, format);
+    const { bitDepth } = output;
+    const outputSampleRate = this.resolveOutputSampleRate(output, sampleRate);
+    if (outputSampleRate !== sampleRate) {
+      channels = this.resampleChannels(channels, sampleRate, outputSampleRate);
+      sampleRate = outputSampleRate;
+    }
+    // 32-bit integer and float outputs keep more precision than the float samples carry
+    const dither = this.options.applyDithering && (bitDepth === '16' || bitDepth === '24')
+      ? this.options.ditherType
+      : 'none';
+    const pcmPath = `${outputPath}.pcm.wav`;
+    
+    try {
+      await this.wavWriter.writeFile(pcmPath, channels, {
+        sampleRate,
+        bitDepth: bitDepth || '32f',
+        dither
+      });
+      
+      await new Promise((resolve, reject) => {
+        this.applyOutputFormat(ffmpeg(pcmPath), output)
+          .on('progress', progress => {
+            if (progressCallback && progress.percent) {
+              progressCallback(progress.percent);
             }
           })
-          .on('end', () => {
-            resolve({
-              sampleRate,
-              channels,
-              duration,
-              bitDepth,
-              peakLevel
-            });
-          })
+          .on('end', resolve)
           .on('error', reject)
-          .output('/dev/null')
-          .run();
+          .save(outputPath);
       });
-    });
+    } finally {
+      await fs.unlink(pcmPath).catch(() => {});
+    }
+    
+    return { bitDepth, dither, output };
+  }
+  
+  /**
+   * Resample every channel
+   * @param {Array<Float32Array>} channels - Per-channel samples
+   * @param {number} fromRate - Sample rate of the samples
+   * @param {number} toRate - New sample rate
+   * @returns {Array<Float32Array>} Resampled channels
+   */
+  resampleChannels(channels, fromRate, toRate) {
+    return channels.map(samples => this.resampler.resample(samples, fromRate, toRate));
+  }
+  
+  /**
+   * Resolve and validate the encoder settings for an output file. Call it
+   * before processing to reject unusable settings early.
+   * @param {string} outputPath - Output path; its extension picks the format when no name is given
+   * @param {Object} format - Optional { name, sampleRate, bitDepth, codecOptions } with
+   *   name a key of OUTPUT_FORMATS and codecOptions { mode, bitrate, quality,
+   *   compression } or the same as a 'key=value,...' string
+   * @returns {Object} { format, codec, muxer, sampleRate, bitDepth, mode, bitrate,
+   *   quality, compression }; settings the format does not use are null
+   */
+  resolveEncoding(outputPath, format = {}) {
+    const { name = null, sampleRate = null, bitDepth = null, codecOptions = null } = format;
+    
+    if (bitDepth !== null && !PCM_CODECS[String(bitDepth)]) {
+      throw new Error(`Unsupported bit depth: ${bitDepth} (expected one of ${Object.keys(PCM_CODECS).join(', ')})`);
+    }
+    if (name !== null && !OUTPUT_FORMATS[name]) {
+      throw new Error(`Unknown output format: ${name} (expected one of ${Object.keys(OUTPUT_FORMATS).join(', ')})`);
+    }
+    
+    const formatName = name || EXTENSION_FORMATS[path.extname(outputPath).toLowerCase()] || 'wav';
+    const spec = OUTPUT_FORMATS[formatName];
+    const settings = this.parseCodecOptions(codecOptions);
+    
+    const encoding = {
+      format: formatName,
+      codec: spec.codec || null,
+      muxer: spec.muxer,
+      sampleRate,
+      bitDepth: null,
+      mode: null,
+      bitrate: null,
+      quality: null,
+      compression: null
+    };
+    
+    for (const key of Object.keys(settings)) {
+      const usable = key === 'compression' ? Boolean(spec.compression) : key === 'mode' ? Boolean(spec.modes) : Boolean(spec[key]);
+      if (!usable) {
+        throw new Error(`The ${formatName} encoder has no ${key} setting`);
+      }
+    }
+    
+    if (spec.bitDepths) {
+      // Lossless: store the requested bit depth, or 24-bit when none is given
+      encoding.bitDepth = bitDepth === null ? '24' : String(bitDepth);
+      if (!spec.bitDepths.includes(encoding.bitDepth)) {
+        throw new Error(`${formatName} cannot store bit depth ${encoding.bitDepth} (expected one of ${spec.bitDepths.join(', ')})`);
+      }
+      encoding.codec = spec.codecs ? spec.codecs[encoding.bitDepth] : spec.codec;
+    } else {
+      if (bitDepth !== null) {
+        throw new Error(`${formatName} is a lossy format and has no bit depth; leave it unset or choose a lossless format`);
+      }
+      
+      // Lossy: quality implies the mode it controls, bitrate likewise
+      const modes = Object.keys(spec.modes);
+      let mode = settings.mode;
+      if (mode === undefined) {
+        const implied = ['quality', 'bitrate'].find(key => settings[key] !== undefined);
+        mode = modes.find(candidate => implied && spec.modes[candidate] === implied) || spec.defaultMode;
+      }
+      if (!modes.includes(mode)) {
+        throw new Error(`Unknown ${formatName} mode: ${mode} (expected one of ${modes.join(', ')})`);
+      }
+      
+      const control = spec.modes[mode];
+      for (const key of ['quality', 'bitrate']) {
+        if (settings[key] !== undefined && key !== control) {
+          throw new Error(`${formatName} ${mode} mode is set by ${control}, not ${key}`);
+        }
+      }
+      encoding.mode = mode;
+      encoding[control] = this.validateRange(formatName, control, settings[control], spec[control]);
+    }
+    
+    if (spec.compression) {
+      encoding.compression = this.validateRange(formatName, 'compression', settings.compression, spec.compression);
+    }
+    
+    if (spec.fixedSampleRate) {
+      if (sampleRate !== null && sampleRate !== spec.fixedSampleRate) {
+        throw new Error(`${formatName} is always ${spec.fixedSampleRate} Hz, not ${sampleRate} Hz`);
+      }
+      encoding.sampleRate = spec.fixedSampleRate;
+    } else if (spec.maxSampleRate && sampleRate > spec.maxSampleRate) {
+      throw new Error(`${formatName} does not support ${sampleRate} Hz (at most ${spec.maxSampleRate} Hz)`);
+    }
+    
+    return encoding;
+  }
+  
+  /**
+   * Sample rate of the output file for samples at a given rate: the encoding's
+   * rate when it has one, otherwise the samples' rate capped to what the format
+   * supports
+   * @param {Object} encoding - Settings from resolveEncoding
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {number} Output sample rate in Hz
+   */
+  resolveOutputSampleRate(encoding, sampleRate) {
+    if (encoding.sampleRate) {
+      return encoding.sampleRate;
+    }
+    const { maxSampleRate } = OUTPUT_FORMATS[encoding.format];
+    return maxSampleRate ? Math.min(sampleRate, maxSampleRate) : sampleRate;
+  }
+  
+  /**
+   * Codec options as an object, from either an object or a 'key=value,...' string
+   * @param {Object|string} codecOptions - Options, or null for none
+   * @returns {Object} Options with only the keys that were given
+   */
+  parseCodecOptions(codecOptions) {
+    if (!codecOptions) {
+      return {};
+    }
+    
+    let entries = codecOptions;
+    if (typeof codecOptions === 'string') {
+      entries = {};
+      for (const pair of codecOptions.split(',').map(part => part.trim()).filter(Boolean)) {
+        const separator = pair.indexOf('=');
+        if (separator <= 0) {
+          throw new Error(`Invalid codec option: ${pair} (expected key=value)`);
+        }
+        entries[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+      }
+    }
+    
+    const settings = {};
+    for (const [key, value] of Object.entries(entries)) {
+      if (!CODEC_OPTIONS.includes(key)) {
+        throw new Error(`Unknown codec option: ${key} (expected one of ${CODEC_OPTIONS.join(', ')})`);
+      }
+      if (value === undefined || value === null || value === '') continue;
+      
+      if (key === 'mode') {
+        settings.mode = String(value).toLowerCase();
+      } else {
+        // Bitrates may be written as 256k
+        const number = Number(key === 'bitrate' ? String(value).replace(/k$/i, '') : value);
+        if (!Number.isFinite(number)) {
+          throw new Error(`Invalid codec option: ${key}=${value} (expected a number)`);
+        }
+        settings[key] = number;
+      }
+    }
+    return settings;
+  }
+  
+  /**
+   * A numeric encoder setting, defaulted and checked against its range
+   * @returns {number} The value, or the range's default when undefined
+   */
+  validateRange(formatName, key, value, range) {
+    if (value === undefined) {
+      return range.default;
+    }
+    if (value < range.min || value > range.max) {
+      throw new Error(`${formatName} ${key} must be between ${range.min} and ${range.max}, got ${value}`);
+    }
+    return value;
+  }
+  
+  /**
+   * Apply codec, container and encoder settings for the output file. The
+   * samples are already at the output rate, see writeOutput
+   * @param {Object} ffmpegCommand - fluent-ffmpeg command
+   * @param {Object} encoding - Settings from resolveEncoding
+   * @returns {Object} The configured command
+   */
+  applyOutputFormat(ffmpegCommand, encoding) {
+    const spec = OUTPUT_FORMATS[encoding.format];
+    const { bitDepth, bitrate, quality, compression } = encoding;
+    
+    ffmpegCommand = ffmpegCommand
+      .audioCodec(encoding.codec)
+      .format(encoding.muxer);
+    
+    if (bitrate !== null) {
+      ffmpegCommand = ffmpegCommand.audioBitrate(`${bitrate}k`);
+      // libvorbis only holds a bitrate when told its limits
+      if (encoding.format === 'vorbis') {
+        ffmpegCommand = ffmpegCommand.outputOptions(['-minrate', `${bitrate}k`, '-maxrate', `${bitrate}k`]);
+      }
+    }
+    if (quality !== null) {
+      ffmpegCommand = ffmpegCommand.audioQuality(quality);
+    }
+    if (encoding.format === 'opus') {
+      ffmpegCommand = ffmpegCommand.outputOptions(['-vbr', OPUS_VBR_MODES[encoding.mode]]);
+    }
+    if (compression !== null) {
+      ffmpegCommand = ffmpegCommand.outputOptions(['-compression_level', String(compression)]);
+    }
+    
+    // 24-bit audio in a 32-bit sample format needs its real width stated
+    if (spec.sampleFormats && bitDepth) {
+      const options = ['-sample_fmt', spec.sampleFormats[bitDepth]];
+      if (bitDepth === '24') {
+        options.push('-bits_per_raw_sample', '24');
+      }
+      ffmpegCommand = ffmpegCommand.outputOptions(options);
+    }
+    
+    return ffmpegCommand;
+  }
+  
+  /**
+   * Measure the upscaled WAV
+   * @param {string} filePath - Path to the WAV written by AudioUpscaler
+   * @returns {Object} { sampleRate, channels, duration, bitDepth } and the
+   *   LoudnessMeter measurements
+   */
+  async analyzeAudio(filePath) {
+    return this.describeAudio(await this.wavReader.readFile(filePath));
+  }
+  
+  /**
+   * Stream properties and LoudnessMeter measurements of decoded audio
+   * @param {Object} audio - WavReader result
+   * @returns {Object} { sampleRate, channels, duration, bitDepth, ...levels }
+   */
+  describeAudio(audio) {
+    return {
+      sampleRate: audio.sampleRate,
+      channels: audio.numChannels,
+      duration: audio.duration,
+      bitDepth: audio.bitsPerSample,
+      ...this.loudnessMeter.measure(audio.channels, audio.sampleRate)
+    };
   }
 }
 
+AudioPostprocessor.LOUDNESS_TARGETS = LOUDNESS_TARGETS;
+AudioPostprocessor.OUTPUT_FORMATS = OUTPUT_FORMATS;
+
 module.exports = { AudioPostprocessor };
\ No newline at end of file
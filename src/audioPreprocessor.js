@@ -1,6 +1,17 @@
 const fs = require('fs').promises;
 const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
+const { WavReader } = require('./wavReader');
+const { WavWriter } = require('./wavWriter');
+const { NoiseReducer } = require('./noiseReducer');
+const { Declipper } = require('./declipper');
+const { HumRemover } = require('./humRemover');
+const { Declicker } = require('./declicker');
+const { LoudnessMeter } = require('./loudnessMeter');
+const { TransientShaper } = require('./transientShaper');
+
+// Clipped runs listed individually in the clipping report; the totals cover all of them
+const MAX_CLIP_LOCATIONS = 100;
 
 /**
  * AudioPreprocessor handles audio preparation before neural enhancement
@@ -11,10 +22,30 @@ class AudioPreprocessor {
     this.options = {
       normalizeAudio: true,
       removeNoise: true,
+      removeHum: true,
       preserveTransients: true,
       enhanceDynamics: true,
+      declip: false, // Rebuild clipped peaks; clipping is detected and reported either way
+      declick: false, // Repair clicks and crackle, mostly for vinyl transfers
+      declickSensitivity: 5, // 1 (only loud clicks) to 10 (faint crackle too)
+      normalizeMode: 'peak', // 'peak' or 'rms'
+      normalizePeakDb: -1, // Peak target, and the ceiling in RMS mode
+      normalizeRmsDb: -20, // RMS target in RMS mode
+      humHarmonics: 8, // Mains hum harmonics checked and notched, fundamental included
+      rumbleFrequency: null, // Hz, high-pass cutoff; null filters at 20 Hz only when DC or hum was found, 0 disables it
+      noiseReductionDb: 12, // Most attenuation noise reduction applies to any frequency
+      noiseProfile: null, // null learns the noise from quiet passages; { start, end } in seconds or a noise-only file path
+      transientSensitivityDb: 6, // Fast envelope rise over the slow one that marks a transient
+      transientHold: 0.03, // Seconds a detected transient stays protected
+      dynamicsRatio: 1.2, // Upward expansion ratio around the programme level
+      dynamicsMaxGainDb: 6, // Largest boost or cut from dynamics restoration
       ...options
     };
+    
+    this.wavReader = new WavReader();
+    this.wavWriter = new WavWriter({ bitDepth: '32f', clipProtection: 'none' });
+    this.declipper = new Declipper();
+    this.loudnessMeter = new LoudnessMeter();
   }
 
   /**
@@ -28,35 +59,19 @@ class AudioPreprocessor {
       // Report initial progress
       if (progressCallback) progressCallback(0);
       
-      // Create filter chain based on enabled options
-      const filters = [];
-      
-      // Analyze audio properties
+      // Stream properties decide how to decode
       const audioInfo = await this.analyzeAudio(inputPath);
-      console.log('Audio properties:', audioInfo);
-      
-      // Skip filters entirely to avoid compatibility issues
-      // We'll just copy the audio as-is
       
-      // Progress update
-      if (progressCallback) progressCallback(30);
-      
-      // Apply all filters and convert to standard format for processing
+      // Decode to float WAV at the native rate; all filtering happens in JS
+      // on the decoded samples so it does not depend on ffmpeg's filter set
       await new Promise((resolve, reject) => {
-        let ffmpegCommand = ffmpeg(inputPath)
-          .audioCodec('pcm_s24le') // Use 24-bit for better quality preservation
+        ffmpeg(inputPath)
+          .audioCodec('pcm_f32le')
           .audioChannels(audioInfo.channels)
-          .audioFrequency(Math.max(audioInfo.sampleRate, 44100)); // Use at least 44.1kHz
-        
-        // Add filters if any
-        if (filters.length > 0) {
-          ffmpegCommand = ffmpegCommand.audioFilters(filters.join(','));
-        }
-        
-        ffmpegCommand
+          .audioFrequency(audioInfo.sampleRate) // Keep the native rate; AudioUpscaler resamples
           .on('progress', progress => {
             if (progressCallback && progress.percent) {
-              progressCallback(30 + progress.percent * 0.6);
+              progressCallback(progress.percent * 0.3);
             }
           })
           .on('end', resolve)
@@ -64,12 +79,37 @@ class AudioPreprocessor {
           .save(outputPath);
       });
       
+      // Progress update
+      if (progressCallback) progressCallback(30);
+      
+      const { channels, sampleRate } = await this.wavReader.readFile(outputPath);
+      
+      // Levels come from the decoded samples themselves
+      Object.assign(audioInfo, this.loudnessMeter.measure(channels, sampleRate));
+      console.log('Audio properties:', audioInfo);
+      
+      const noiseChannels = this.options.removeNoise && typeof this.options.noiseProfile === 'string'
+        ? await this.decodeNoiseFile(this.options.noiseProfile, sampleRate, `${outputPath}.noise.wav`)
+        : null;
+      
+      const { channels: processed, appliedFilters, clipping } = this.processChannels(
+        channels,
+        sampleRate,
+        progress => {
+          if (progressCallback) progressCallback(30 + progress * 0.6);
+        },
+        noiseChannels
+      );
+      
+      await this.wavWriter.writeFile(outputPath, processed, { sampleRate });
+      audioInfo.clipping = clipping;
+      
       // Final progress update
       if (progressCallback) progressCallback(100);
       
       return {
         audioInfo,
-        appliedFilters: filters
+        appliedFilters
       };
     } catch (error) {
       console.error('Error during preprocessing:', error);
@@ -78,9 +118,451 @@ class AudioPreprocessor {
   }
   
   /**
-   * Analyze audio properties to determine optimal preprocessing
+   * Run the enabled stages over decoded channels. Gain stages share one
+   * envelope across channels so the stereo image does not shift.
+   * @param {Array<Float32Array>} channels - Per-channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @param {function} progressCallback - Callback for progress updates
+   * @param {Array<Float32Array>} noiseChannels - Optional noise-only recording
+   *   to build the noise profile from
+   * @returns {Object} { channels, appliedFilters, clipping } with each applied
+   *   stage reported as { name, ...parameters, ...measurements } and the
+   *   clipping found in the input
+   */
+  processChannels(channels, sampleRate, progressCallback, noiseChannels = null) {
+    const appliedFilters = [];
+    let output = channels.map(samples => new Float32Array(samples));
+    
+    // Clipping is measured on the input before anything changes levels
+    const { runs, ...clipping } = this.detectClipping(output, sampleRate);
+    
+    if (output.length === 0 || output[0].length === 0) {
+      return { channels: output, appliedFilters, clipping };
+    }
+    
+    // Flat tops go first; every later stage would smear them into something
+    // no longer recognisable as clipping
+    if (this.options.declip) {
+      let repairedRuns = 0;
+      output.forEach((samples, channel) => {
+        repairedRuns += this.declipper.reconstruct(samples, runs[channel]);
+      });
+      appliedFilters.push({ name: 'declip', clippedRuns: clipping.clippedRuns, repairedRuns });
+    }
+    
+    // Clicks are found by how badly the surrounding audio predicts them, so
+    // they go before any filtering spreads them out
+    if (this.options.declick) {
+      const { channels: repaired, ...report } = this.declick(output, sampleRate);
+      output = repaired;
+      appliedFilters.push({ name: 'declick', ...report });
+    }
+    
+    // DC, hum and rumble would otherwise bias every level measurement after this
+    if (this.options.removeHum) {
+      const { channels: filtered, ...report } = this.removeHum(output, sampleRate);
+      output = filtered;
+      appliedFilters.push({ name: 'humRemoval', ...report });
+    }
+    
+    // Transients are found on the input so later stages leave them intact
+    let protection = null;
+    if (this.options.preserveTransients) {
+      const transients = this.detectTransients(this.linkChannels(output), sampleRate);
+      protection = transients.protection;
+      appliedFilters.push({
+        name: 'transientPreservation',
+        sensitivityDb: this.options.transientSensitivityDb,
+        holdMs: this.options.transientHold * 1000,
+        transients: transients.count
+      });
+    }
+    if (progressCallback) progressCallback(20);
+    
+    // Noise goes before inference so the models never see hiss to extend
+    if (this.options.removeNoise) {
+      const { channels: denoised, ...report } = this.reduceNoise(output, sampleRate, noiseChannels, protection);
+      output = denoised;
+      appliedFilters.push({ name: 'noiseReduction', ...report });
+    }
+    if (progressCallback) progressCallback(50);
+    
+    if (this.options.enhanceDynamics) {
+      const { gain, ...report } = this.dynamicsGain(this.linkChannels(output), sampleRate);
+      this.applyGain(output, gain, protection);
+      appliedFilters.push({ name: 'dynamicsRestoration', ...report });
+    }
+    if (progressCallback) progressCallback(80);
+    
+    // Normalize last so the final level is what the models see
+    if (this.options.normalizeAudio) {
+      const report = this.normalize(output);
+      appliedFilters.push({ name: 'normalize', ...report });
+    }
+    if (progressCallback) progressCallback(100);
+    
+    return { channels: output, appliedFilters, clipping };
+  }
+  
+  /**
+   * Find clipped runs in every channel
+   * @param {Array<Float32Array>} channels - Per-channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} { clippedRuns, clippedSamples, clippedPercent, locations, runs }
+   *   with locations as { channel, time, duration } in seconds (the first
+   *   MAX_CLIP_LOCATIONS only) and runs per channel for reconstruction
+   */
+  detectClipping(channels, sampleRate) {
+    const runs = [];
+    const locations = [];
+    let clippedRuns = 0;
+    let clippedSamples = 0;
+    let totalSamples = 0;
+    
+    channels.forEach((samples, channel) => {
+      const detection = this.declipper.detect(samples);
+      runs.push(detection.runs);
+      clippedRuns += detection.runs.length;
+      clippedSamples += detection.clippedSamples;
+      totalSamples += samples.length;
+      
+      for (const { start, end } of detection.runs) {
+        locations.push({ channel, time: start / sampleRate, duration: (end - start) / sampleRate });
+      }
+    });
+    
+    locations.sort((a, b) => a.time - b.time || a.channel - b.channel);
+    
+    return {
+      clippedRuns,
+      clippedSamples,
+      clippedPercent: totalSamples > 0 ? 100 * clippedSamples / totalSamples : 0,
+      locations: locations.slice(0, MAX_CLIP_LOCATIONS),
+      runs
+    };
+  }
+  
+  /**
+   * Largest absolute value across channels at each sample
+   */
+  linkChannels(channels) {
+    const linked = new Float32Array(channels[0].length);
+    for (const samples of channels) {
+      for (let i = 0; i < samples.length; i++) {
+        const value = Math.abs(samples[i]);
+        if (value > linked[i]) linked[i] = value;
+      }
+    }
+    return linked;
+  }
+  
+  /**
+   * Mark transients where a fast envelope jumps above a slow one
+   * @returns {Object} { protection, count } with protection in [0, 1] per sample
+   */
+  detectTransients(levels, sampleRate) {
+    const fast = TransientShaper.followEnvelope(levels, sampleRate, 0.001, 0.01);
+    const slow = TransientShaper.followEnvelope(levels, sampleRate, 0.02, 0.2);
+    const ratio = Math.pow(10, this.options.transientSensitivityDb / 20);
+    const hold = Math.round(this.options.transientHold * sampleRate);
+    const fade = Math.max(1, Math.round(0.01 * sampleRate));
+    
+    // Ignore "transients" in material near silence
+    let peak = 0;
+    for (let i = 0; i < levels.length; i++) {
+      if (levels[i] > peak) peak = levels[i];
+    }
+    const minimumLevel = peak * 0.01;
+    
+    const protection = new Float32Array(levels.length);
+    let count = 0;
+    let holdUntil = -1;
+    
+    for (let i = 0; i < levels.length; i++) {
+      if (fast[i] > slow[i] * ratio && fast[i] > minimumLevel) {
+        if (i > holdUntil) count++;
+        holdUntil = i + hold;
+      }
+      
+      if (i <= holdUntil) {
+        protection[i] = 1;
+      } else if (i <= holdUntil + fade) {
+        protection[i] = 1 - (i - holdUntil) / fade;
+      }
+    }
+    
+    return { protection, count };
+  }
+  
+  /**
+   * Find clicks in every channel and interpolate over them
+   * @param {Array<Float32Array>} channels - Per-channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} { channels, sensitivity, clicks, repairedSamples, skipped }
+   *   with skipped counting impulsive events too long to treat as clicks
+   */
+  declick(channels, sampleRate) {
+    const declicker = new Declicker({ sensitivity: this.options.declickSensitivity });
+    let clicks = 0;
+    let repairedSamples = 0;
+    let skipped = 0;
+    
+    const output = channels.map(samples => {
+      const result = declicker.process(samples, sampleRate);
+      clicks += result.clicks;
+      repairedSamples += result.repairedSamples;
+      skipped += result.skipped;
+      return result.samples;
+    });
+    
+    return {
+      channels: output,
+      sensitivity: this.options.declickSensitivity,
+      clicks,
+      repairedSamples,
+      skipped
+    };
+  }
+  
+  /**
+   * Remove DC offset and mains hum when detected, and rumble when either was
+   * found or a rumble cutoff was set. Clean recordings pass through untouched.
+   * @param {Array<Float32Array>} channels - Per-channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} { channels, dcOffset, humFrequency, harmonics,
+   *   highpassFrequency, removedDb } with dcOffset per channel,
+   *   humFrequency null when no hum was found and highpassFrequency 0 when
+   *   no high-pass ran
+   */
+  removeHum(channels, sampleRate) {
+    const { rumbleFrequency } = this.options;
+    const remover = new HumRemover({
+      harmonics: this.options.humHarmonics,
+      ...(rumbleFrequency !== null && { highpassFrequency: rumbleFrequency })
+    });
+    const { dcOffset, dcDetected, humFrequency, harmonics } = remover.detect(channels, sampleRate);
+    
+    if (!dcDetected && humFrequency === null && rumbleFrequency === null) {
+      return { channels, dcOffset, humFrequency, harmonics, highpassFrequency: 0, removedDb: 0 };
+    }
+    
+    let energyBefore = 0;
+    let energyAfter = 0;
+    
+    const output = channels.map((samples, channel) => {
+      const filtered = remover.remove(samples, sampleRate, dcDetected ? dcOffset[channel] : 0, harmonics);
+      for (let i = 0; i < samples.length; i++) {
+        energyBefore += samples[i] * samples[i];
+        energyAfter += filtered[i] * filtered[i];
+      }
+      return filtered;
+    });
+    
+    return {
+      channels: output,
+      dcOffset,
+      humFrequency,
+      harmonics,
+      highpassFrequency: remover.options.highpassFrequency,
+      removedDb: energyBefore > 0 && energyAfter > 0 ? 10 * Math.log10(energyBefore / energyAfter) : 0
+    };
+  }
+  
+  /**
+   * Wiener-filter noise reduction against a noise profile learned from the
+   * quietest frames, a time range, or a separate noise-only recording
+   * @param {Array<Float32Array>} channels - Per-channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @param {Array<Float32Array>} noiseChannels - Optional noise-only recording
+   * @param {Float32Array} protection - Optional transient protection; protected
+   *   samples keep their original value
+   * @returns {Object} { channels, profileSource, reductionDb, removedDb } with
+   *   profileSource null, and the channels untouched, when an automatic profile
+   *   finds no noise floor
+   */
+  reduceNoise(channels, sampleRate, noiseChannels = null, protection = null) {
+    const { noiseProfile, noiseReductionDb } = this.options;
+    const reducer = new NoiseReducer({ reductionDb: noiseReductionDb });
+    
+    let profileSource = 'auto';
+    let range = null;
+    if (noiseChannels) {
+      profileSource = 'file';
+    } else if (noiseProfile && typeof noiseProfile === 'object') {
+      const { start, end } = noiseProfile;
+      const duration = channels[0].length / sampleRate;
+      if (!(start >= 0) || !(end > start) || start >= duration) {
+        throw new Error(`Invalid noise profile range: ${start}-${end}s (audio is ${duration.toFixed(2)}s long)`);
+      }
+      profileSource = 'range';
+      range = [Math.floor(start * sampleRate), Math.min(channels[0].length, Math.ceil(end * sampleRate))];
+    }
+    
+    const profiles = channels.map((samples, channel) => {
+      if (noiseChannels) {
+        return reducer.estimateProfile(noiseChannels[Math.min(channel, noiseChannels.length - 1)], { quietOnly: false });
+      }
+      if (range) {
+        return reducer.estimateProfile(samples.subarray(range[0], range[1]), { quietOnly: false });
+      }
+      return reducer.estimateProfile(samples);
+    });
+    
+    // Clean material has no noise floor to learn; subtracting its quietest
+    // passages would only attenuate the signal
+    if (profiles.some(profile => profile === null)) {
+      return { channels, profileSource: null, reductionDb: noiseReductionDb, removedDb: 0 };
+    }
+    
+    let energyBefore = 0;
+    let energyAfter = 0;
+    
+    const output = channels.map((samples, channel) => {
+      const denoised = reducer.reduce(samples, profiles[channel]);
+      for (let i = 0; i < samples.length; i++) {
+        if (protection) {
+          denoised[i] += (samples[i] - denoised[i]) * protection[i];
+        }
+        energyBefore += samples[i] * samples[i];
+        energyAfter += denoised[i] * denoised[i];
+      }
+      return denoised;
+    });
+    
+    return {
+      channels: output,
+      profileSource,
+      ...(range ? { profileRange: [range[0] / sampleRate, range[1] / sampleRate] } : {}),
+      reductionDb: noiseReductionDb,
+      removedDb: energyBefore > 0 && energyAfter > 0 ? 10 * Math.log10(energyBefore / energyAfter) : 0
+    };
+  }
+  
+  /**
+   * Decode a noise-only recording to match the audio being processed
+   * @param {string} filePath - Noise file
+   * @param {number} sampleRate - Rate to decode at
+   * @param {string} tempPath - Scratch WAV path, removed afterwards
+   * @returns {Array<Float32Array>} Per-channel noise samples
+   */
+  async decodeNoiseFile(filePath, sampleRate, tempPath) {
+    try {
+      await new Promise((resolve, reject) => {
+        ffmpeg(filePath)
+          .audioCodec('pcm_f32le')
+          .audioFrequency(sampleRate)
+          .on('end', resolve)
+          .on('error', reject)
+          .save(tempPath);
+      });
+      
+      const { channels } = await this.wavReader.readFile(tempPath);
+      return channels;
+    } finally {
+      await fs.unlink(tempPath).catch(() => {});
+    }
+  }
+  
+  /**
+   * Upward expansion around the programme level to restore dynamics that
+   * compression or limiting flattened
+   * @returns {Object} { gain, referenceDb, ratio, maxGainDb }
+   */
+  dynamicsGain(levels, sampleRate) {
+    const { dynamicsRatio, dynamicsMaxGainDb } = this.options;
+    const gain = new Float32Array(levels.length).fill(1);
+    
+    // RMS envelope from the smoothed squared signal
+    const squared = new Float32Array(levels.length);
+    let sum = 0;
+    for (let i = 0; i < levels.length; i++) {
+      squared[i] = levels[i] * levels[i];
+      sum += squared[i];
+    }
+    const reference = Math.sqrt(sum / levels.length);
+    if (reference < 1e-6) {
+      return { gain, referenceDb: -Infinity, ratio: dynamicsRatio, maxGainDb: dynamicsMaxGainDb };
+    }
+    const referenceDb = 20 * Math.log10(reference);
+    
+    const env = TransientShaper.followEnvelope(squared, sampleRate, 0.01, 0.15);
+    for (let i = 0; i < levels.length; i++) {
+      const levelDb = 10 * Math.log10(Math.max(env[i], 1e-12));
+      const gainDb = Math.max(-dynamicsMaxGainDb, Math.min(dynamicsMaxGainDb, (levelDb - referenceDb) * (dynamicsRatio - 1)));
+      gain[i] = Math.pow(10, gainDb / 20);
+    }
+    
+    return { gain, referenceDb, ratio: dynamicsRatio, maxGainDb: dynamicsMaxGainDb };
+  }
+  
+  /**
+   * Multiply every channel by a shared gain curve; protected samples
+   * (transients) keep any boost but skip attenuation
+   */
+  applyGain(channels, gain, protection) {
+    for (const samples of channels) {
+      for (let i = 0; i < samples.length; i++) {
+        let g = gain[i];
+        if (protection && g < 1) {
+          g += (1 - g) * protection[i];
+        }
+        samples[i] *= g;
+      }
+    }
+  }
+  
+  /**
+   * Peak or RMS normalization; RMS mode never pushes peaks past the peak target
+   * @returns {Object} { mode, targetDb, gainDb, peakDb }
+   */
+  normalize(channels) {
+    const { normalizeMode, normalizePeakDb, normalizeRmsDb } = this.options;
+    if (!['peak', 'rms'].includes(normalizeMode)) {
+      throw new Error(`Unknown normalization mode: ${normalizeMode} (expected peak or rms)`);
+    }
+    
+    let peak = 0;
+    let sum = 0;
+    let count = 0;
+    
+    for (const samples of channels) {
+      for (let i = 0; i < samples.length; i++) {
+        const value = Math.abs(samples[i]);
+        if (value > peak) peak = value;
+        sum += value * value;
+        count++;
+      }
+    }
+    
+    if (peak === 0) {
+      return { mode: normalizeMode, targetDb: normalizeMode === 'rms' ? normalizeRmsDb : normalizePeakDb, gainDb: 0, peakDb: -Infinity };
+    }
+    
+    const peakCeiling = Math.pow(10, normalizePeakDb / 20);
+    let gain = peakCeiling / peak;
+    if (normalizeMode === 'rms') {
+      const rms = Math.sqrt(sum / count);
+      gain = Math.min(gain, Math.pow(10, normalizeRmsDb / 20) / rms);
+    }
+    
+    for (const samples of channels) {
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] *= gain;
+      }
+    }
+    
+    return {
+      mode: normalizeMode,
+      targetDb: normalizeMode === 'rms' ? normalizeRmsDb : normalizePeakDb,
+      gainDb: 20 * Math.log10(gain),
+      peakDb: 20 * Math.log10(peak * gain)
+    };
+  }
+  
+  /**
+   * Read stream properties to decode the input with
    * @param {string} filePath - Path to audio file
-   * @returns {Object} Audio properties
+   * @returns {Object} { sampleRate, channels, duration, bitDepth }
    */
   async analyzeAudio(filePath) {
     return new Promise((resolve, reject) => {
@@ -88,9 +570,6 @@ class AudioPreprocessor {
       let channels = 2;
       let duration = 0;
       let bitDepth = 16;
-      let dynamicRange = 0;
-      let peakLevel = -100;
-      let noiseFloor = -100;
       
       ffmpeg.ffprobe(filePath, (err, metadata) => {
         if (err) {
@@ -109,40 +588,12 @@ class AudioPreprocessor {
           }
         }
         
-        // For more detailed analysis, we need to run a separate command
-        ffmpeg(filePath)
-          .audioFilters('volumedetect')
-          .format('null')
-          .on('stderr', line => {
-            // Extract dynamic range information
-            const maxVolumeMatch = line.match(/max_volume: (-?\d+\.?\d*)/);
-            if (maxVolumeMatch) {
-              peakLevel = parseFloat(maxVolumeMatch[1]);
-            }
-            
-            const meanVolumeMatch = line.match(/mean_volume: (-?\d+\.?\d*)/);
-            if (meanVolumeMatch) {
-              const meanVolume = parseFloat(meanVolumeMatch[1]);
-              // Estimate noise floor as 10dB below mean volume
-              noiseFloor = meanVolume - 10;
-              // Estimate dynamic range
-              dynamicRange = peakLevel - noiseFloor;
-            }
-          })
-          .on('end', () => {
-            resolve({
-              sampleRate,
-              channels,
-              duration,
-              bitDepth,
-              dynamicRange,
-              peakLevel,
-              noiseFloor
-            });
-          })
-          .on('error', reject)
-          .output('/dev/null')
-          .run();
+        resolve({
+          sampleRate,
+          channels,
+          duration,
+          bitDepth
+        });
       });
     });
   }
@@ -1,32 +1,65 @@
 const fs = require('fs').promises;
 const path = require('path');
-const ffmpeg = require('fluent-ffmpeg');
 const tf = require('@tensorflow/tfjs-node');
-const { Spectrogram } = require('./spectrogram');
-const { PhaseReconstructor } = require('./phaseReconstructor');
 const { ContentAnalyzer } = require('./contentAnalyzer');
 const { AudioPreprocessor } = require('./audioPreprocessor');
 const { AudioPostprocessor } = require('./audioPostprocessor');
 const { ModelTrainer } = require('./modelTrainer');
+const { WavReader } = require('./wavReader');
+const { WavWriter } = require('./wavWriter');
+const { Resampler } = require('./resampler');
+const { Crossover } = require('./crossover');
+const { LoudnessMeter } = require('./loudnessMeter');
+
+// Below this the crossover would hand the model whole instruments rather than overtones
+const MIN_CROSSOVER_FREQUENCY = 1000;
 
 class AudioUpscaler {
   constructor(options = {}) {
     this.options = {
       trainingMode: false,
       usePreprocessing: true,
+      preprocessorOptions: {}, // Passed to AudioPreprocessor, e.g. { removeNoise: false }
       usePostprocessing: true,
+      postprocessorOptions: {}, // Passed to AudioPostprocessor, e.g. { ditherType: 'f-weighted' }
       preserveQuality: true,
+      segmentRouting: true, // Route each timeline segment to its own model
+      crossfadeDuration: 0.05, // Seconds of crossfade between routed segments
+      modelMode: 'single', // 'single' model per segment or confidence-weighted 'mixture'
+      mixtureFloor: 0.4, // Below this top confidence the mixture falls back to the general model
+      mixtureMinWeight: 0.15, // Specialists less confident than this are skipped in a mixture
+      intermediateBitDepth: '32f', // Format of the enhanced WAV handed to postprocessing
+      clipProtection: 'soft', // 'soft', 'clip', 'normalize' or 'none' for an integer intermediate
+      targetSampleRate: null, // Output rate in Hz; null keeps the source rate (at least 44.1 kHz)
+      targetBitDepth: null, // '16', '24', '32' or '32f'; null uses the output format's default
+      outputFormat: null, // Key of AudioPostprocessor.OUTPUT_FORMATS; null picks it from the output extension
+      codecOptions: null, // { mode, bitrate, quality, compression } or 'key=value,...' for the encoder
+      crossover: true, // Keep the original below the crossover; take only the band above from the model
+      crossoverFrequency: 'auto', // 'auto' uses the detected source bandwidth, or a frequency in Hz
+      inferenceWindow: 16384, // Samples per model input chunk
+      inferenceOverlap: 1024, // Samples shared by neighbouring chunks for crossfading
+      inferenceBatchSize: 4, // Chunks per model.predict call; lower to save memory
       modelPath: path.join(__dirname, '../models'),
       ...options
     };
     
+    // A confident specialist must always clear the weight cut, or a mixture could end up without a model
+    const { mixtureFloor, mixtureMinWeight } = this.options;
+    if (!(mixtureFloor >= mixtureMinWeight && mixtureFloor <= 1)) {
+      throw new Error(`Invalid mixture floor: ${mixtureFloor} (expected ${mixtureMinWeight}-1, at least the minimum specialist weight)`);
+    }
+    
     this.models = {};
     this.progressCallback = null;
     this.contentAnalyzer = new ContentAnalyzer();
-    this.phaseReconstructor = new PhaseReconstructor();
-    this.preprocessor = new AudioPreprocessor();
-    this.postprocessor = new AudioPostprocessor();
+    this.preprocessor = new AudioPreprocessor(this.options.preprocessorOptions);
+    this.postprocessor = new AudioPostprocessor(this.options.postprocessorOptions);
     this.modelTrainer = new ModelTrainer();
+    this.wavReader = new WavReader();
+    this.wavWriter = new WavWriter();
+    this.resampler = new Resampler();
+    this.crossover = new Crossover();
+    this.loudnessMeter = new LoudnessMeter();
     this.initialize();
   }
   
@@ -252,6 +285,14 @@ class AudioUpscaler {
   
   async upscale(inputPath, outputPath, forcedAudioType = null) {
     try {
+      // Reject unusable output settings before any processing
+      this.resolveTargetSampleRate(44100);
+      this.validateCrossoverFrequency();
+      if (this.options.targetBitDepth !== null) {
+        this.wavWriter.resolveBitDepth(this.options.targetBitDepth);
+      }
+      const outputEncoding = this.postprocessor.resolveEncoding(outputPath, this.describeOutputFormat());
+      
       // Create temporary file paths
       const tempDir = path.join(path.dirname(inputPath), '.temp');
       await fs.mkdir(tempDir, { recursive: true });
@@ -266,9 +307,21 @@ class AudioUpscaler {
       const audioContent = await this.contentAnalyzer.analyze(inputPath);
       console.log(`Detected audio type: ${audioContent.dominantType}`);
       
-      // Select the appropriate model - use forced type if provided
+      // Select the appropriate models - use forced type if provided
       const audioType = forcedAudioType || audioContent.dominantType;
-      const model = this.models[audioType] || this.models.general;
+      const modelWeights = forcedAudioType
+        ? [{ type: forcedAudioType, weight: 1 }]
+        : this.selectModels(audioContent);
+      
+      // Mixed content is routed segment by segment unless the type is forced
+      const timeline = audioContent.timeline || [];
+      const routedTimeline = !forcedAudioType && this.options.segmentRouting && timeline.length > 1
+        ? timeline.map(segment => ({ ...segment, modelWeights: this.selectModels(segment) }))
+        : null;
+      if (routedTimeline) {
+        console.log(`Routing ${routedTimeline.length} segments:`,
+          routedTimeline.map(segment => `${segment.start.toFixed(1)}-${segment.end.toFixed(1)}s ${this.describeModels(segment.modelWeights)}`).join(', '));
+      }
       
       this.reportProgress(10);
       
@@ -292,49 +345,91 @@ class AudioUpscaler {
       this.reportProgress(25);
       
       // Step 3: Apply neural upscaling
-      console.log(`Applying neural upscaling with ${audioType} model...`);
+      console.log(`Applying neural upscaling with ${this.describeModels(modelWeights)} model...`);
       
       // Read audio data
-      const audioData = await this.readAudioFile(processingPath);
+      const sourceData = await this.readAudioFile(processingPath);
+      
+      // Resample ahead of the model so it synthesizes the band between the
+      // source and target Nyquist frequencies
+      const targetSampleRate = this.resolveTargetSampleRate(sourceData.sampleRate, outputEncoding);
+      let audioData = sourceData;
+      if (targetSampleRate !== sourceData.sampleRate) {
+        console.log(`Resampling ${sourceData.sampleRate} Hz -> ${targetSampleRate} Hz`);
+        audioData = this.resampleAudio(sourceData, targetSampleRate);
+      }
+      
+      // Measure how far up the source actually has content; lossy and
+      // narrowband sources stop well short of their Nyquist frequency
+      const bandwidth = this.contentAnalyzer.detectBandwidth(sourceData.channels, sourceData.sampleRate);
+      console.log(`Effective bandwidth: ${(bandwidth.cutoffFrequency / 1000).toFixed(1)} kHz of ${(bandwidth.nyquist / 1000).toFixed(1)} kHz${bandwidth.bandLimited ? ' (band-limited source)' : ''}`);
+      
+      const crossoverFrequency = this.resolveCrossoverFrequency(bandwidth, targetSampleRate);
+      if (crossoverFrequency !== null) {
+        console.log(`Crossover at ${(crossoverFrequency / 1000).toFixed(1)} kHz: keeping the original below, model output above`);
+      }
       
       // Process with neural model
       const enhancedData = await this.processAudio(
         audioData, 
-        model,
-        progress => this.reportProgress(25 + progress * 0.5)
+        modelWeights,
+        progress => this.reportProgress(25 + progress * 0.5),
+        routedTimeline,
+        crossoverFrequency
       );
       
-      // Save enhanced audio
-      await this.saveAudioFile(enhancedData, upscaledPath);
+      const restoration = this.measureRestoration(enhancedData, bandwidth);
+      console.log(`Restored content above ${(bandwidth.cutoffFrequency / 1000).toFixed(1)} kHz: ${(restoration.restoredEnergyRatio * 100).toFixed(2)}% of output energy, bandwidth now ${(restoration.outputCutoffFrequency / 1000).toFixed(1)} kHz`);
+      
+      const levels = this.measureLevels(sourceData, enhancedData);
+      console.log(`Loudness: ${levels.source.integratedLufs.toFixed(1)} LUFS -> ${levels.output.integratedLufs.toFixed(1)} LUFS, true peak ${levels.source.truePeakDb.toFixed(1)} dBTP -> ${levels.output.truePeakDb.toFixed(1)} dBTP`);
+      
+      // Save enhanced audio. A float intermediate keeps peaks above full scale
+      // intact, so the postprocessor's limiter and the final encode decide how they are handled
+      const encodeStats = await this.saveAudioFile(
+        enhancedData,
+        upscaledPath,
+        this.options.intermediateBitDepth === '32f' ? { clipProtection: 'none' } : {}
+      );
+      if (encodeStats.clippedSamples > 0) {
+        console.warn(`Clipped ${encodeStats.clippedSamples} samples while encoding enhanced audio`);
+      }
       
       this.reportProgress(75);
       
+      const outputFormat = this.describeOutputFormat();
+      
       // Step 4: Postprocess audio if enabled
+      let encoding;
       if (this.options.usePostprocessing) {
         console.log('Applying post-processing for final quality enhancement...');
-        await this.postprocessor.postprocess(
+        encoding = await this.postprocessor.postprocess(
           upscaledPath,
           inputPath, // Original for reference
           outputPath,
           audioInfo,
-          progress => this.reportProgress(75 + progress * 0.2)
+          progress => this.reportProgress(75 + progress * 0.2),
+          outputFormat,
+          bandwidth
         );
       } else {
         // If no postprocessing, just convert to output format with high quality
-        await new Promise((resolve, reject) => {
-          ffmpeg(upscaledPath)
-            .output(outputPath)
-            .audioQuality(0) // Best quality
-            .on('progress', (progress) => {
-              if (progress.percent) {
-                this.reportProgress(75 + progress.percent * 0.2);
-              }
-            })
-            .on('end', resolve)
-            .on('error', reject)
-            .run();
-        });
+        encoding = await this.postprocessor.encode(
+          upscaledPath,
+          outputPath,
+          outputFormat,
+          progress => this.reportProgress(75 + progress * 0.2)
+        );
+      }
+      if (encoding.loudness) {
+        const { before, after } = encoding.loudness;
+        console.log(`Output loudness: ${before.integratedLufs.toFixed(1)} -> ${after.integratedLufs.toFixed(1)} LUFS, true peak ${before.truePeakDb.toFixed(1)} -> ${after.truePeakDb.toFixed(1)} dBTP`);
+      }
+      if (encoding.dither !== 'none') {
+        console.log(`Dithered to ${encoding.bitDepth}-bit with ${encoding.dither} dither`);
       }
+      const { output } = encoding;
+      console.log(`Encoded as ${output.format} with ${output.codec}${output.mode ? ` (${output.mode}, ${output.quality !== null ? `quality ${output.quality}` : `${output.bitrate} kbps`})` : ''}`);
       
       // Step 5: Clean up temp files
       try {
@@ -357,7 +452,7 @@ class AudioUpscaler {
           
           // Skip actual training for now since it's causing issues
           // await this.modelTrainer.fineTuneModel(
-          //   model,
+          //   this.models[audioType],
           //   [inputPath], // Low quality
           //   [outputPath], // High quality (our result)
           //   audioType,
@@ -375,6 +470,23 @@ class AudioUpscaler {
       return {
         success: true,
         audioType,
+        timeline: routedTimeline || timeline,
+        segmentRouting: Boolean(routedTimeline),
+        modelMode: forcedAudioType ? 'single' : this.options.modelMode,
+        modelWeights,
+        sourceSampleRate: sourceData.sampleRate,
+        sampleRate: targetSampleRate,
+        bitDepth: encoding.bitDepth,
+        dither: encoding.dither,
+        output: encoding.output,
+        loudness: encoding.loudness || null,
+        bandwidth: {
+          ...bandwidth,
+          ...restoration
+        },
+        crossoverFrequency,
+        audioInfo,
+        levels,
         enhancementApplied: true
       };
     } catch (error) {
@@ -383,106 +495,197 @@ class AudioUpscaler {
     }
   }
   
+  /**
+   * Choose the models to run for analysed content
+   * @param {Object} content - Analysis result or timeline segment with
+   *   voice/music/ambient confidences
+   * @returns {Array<Object>} Models as { type, weight } with weights summing to 1
+   */
+  selectModels(content) {
+    const dominantType = content.dominantType || content.type;
+    
+    if (this.options.modelMode !== 'mixture') {
+      return [{ type: dominantType || 'general', weight: 1 }];
+    }
+    
+    const confidences = {
+      voice: content.voiceConfidence || 0,
+      music: content.musicConfidence || 0,
+      ambient: content.ambientConfidence || 0
+    };
+    
+    // No class is confident enough to trust a specialist
+    const topConfidence = Math.max(...Object.values(confidences));
+    if (topConfidence < this.options.mixtureFloor) {
+      return [{ type: 'general', weight: 1 }];
+    }
+    
+    // The most confident specialist always stays in, whatever the weight cut
+    const selected = Object.entries(confidences)
+      .filter(([, confidence]) => confidence >= this.options.mixtureMinWeight || confidence === topConfidence)
+      .map(([type, confidence]) => ({ type, weight: confidence }));
+    
+    const total = selected.reduce((sum, entry) => sum + entry.weight, 0);
+    return selected.map(entry => ({ type: entry.type, weight: entry.weight / total }));
+  }
+  
+  describeModels(modelWeights) {
+    if (modelWeights.length === 1) {
+      return modelWeights[0].type;
+    }
+    return modelWeights.map(entry => `${entry.type} ${Math.round(entry.weight * 100)}%`).join(' + ');
+  }
+  
   async analyzeAudioType(filePath) {
     // Use the ContentAnalyzer to determine audio type
     const content = await this.contentAnalyzer.analyze(filePath);
     return content.dominantType;
   }
   
+  /**
+   * Read a WAV file and decode it to per-channel samples
+   * @param {string} filePath - Path to WAV file
+   * @returns {Object} Format metadata and channel samples
+   */
   async readAudioFile(filePath) {
-    // In a real implementation, this would parse the WAV file properly
-    // For this demo, we'll return a simple structure
-    const buffer = await fs.readFile(filePath);
+    return {
+      filePath,
+      ...await this.wavReader.readFile(filePath)
+    };
+  }
+  
+  /**
+   * Work out the processing and output sample rate for a source rate
+   * @param {number} sourceSampleRate - Sample rate of the decoded input
+   * @param {Object} encoding - Output settings from AudioPostprocessor.resolveEncoding;
+   *   without an explicit rate the output format's rate limits apply
+   * @returns {number} Target sample rate in Hz
+   */
+  resolveTargetSampleRate(sourceSampleRate, encoding = null) {
+    const { targetSampleRate } = this.options;
     
+    if (targetSampleRate === null || targetSampleRate === undefined) {
+      const rate = Math.max(sourceSampleRate, 44100);
+      return encoding ? this.postprocessor.resolveOutputSampleRate(encoding, rate) : rate;
+    }
+    
+    const rate = Number(targetSampleRate);
+    if (!Number.isInteger(rate) || rate < 8000 || rate > 384000) {
+      throw new Error(`Invalid target sample rate: ${targetSampleRate} (expected 8000-384000 Hz)`);
+    }
+    
+    return rate;
+  }
+  
+  /**
+   * Check a manual crossover frequency option
+   */
+  validateCrossoverFrequency() {
+    const { crossoverFrequency } = this.options;
+    if (crossoverFrequency === 'auto') return;
+    
+    const frequency = Number(crossoverFrequency);
+    if (!Number.isFinite(frequency) || frequency < MIN_CROSSOVER_FREQUENCY) {
+      throw new Error(`Invalid crossover frequency: ${crossoverFrequency} (expected 'auto' or a frequency of at least ${MIN_CROSSOVER_FREQUENCY} Hz)`);
+    }
+  }
+  
+  /**
+   * Output format settings handed to the postprocessor
+   * @returns {Object} { name, sampleRate, bitDepth, codecOptions } with
+   *   sampleRate null unless one was requested
+   */
+  describeOutputFormat() {
+    const { targetSampleRate } = this.options;
     return {
-      buffer,
-      filePath
+      name: this.options.outputFormat,
+      sampleRate: targetSampleRate === null || targetSampleRate === undefined ? null : Number(targetSampleRate),
+      bitDepth: this.options.targetBitDepth,
+      codecOptions: this.options.codecOptions
     };
   }
   
-  async processAudio(audioData, model, progressCallback) {
-    // This is where the actual audio upscaling would happen
-    // In a real implementation, we would:
-    // 1. Convert buffer to audio samples
-    // 2. Apply ML model to enhance audio in frequency domain
-    // 3. Convert back to buffer
+  /**
+   * Pick the crossover frequency for a file
+   * @param {Object} bandwidth - Source bandwidth from ContentAnalyzer.detectBandwidth
+   * @param {number} sampleRate - Processing sample rate
+   * @returns {number|null} Crossover in Hz, or null when crossover mode is off
+   */
+  resolveCrossoverFrequency(bandwidth, sampleRate) {
+    if (!this.options.crossover) return null;
+    
+    const frequency = this.options.crossoverFrequency === 'auto'
+      ? Math.max(MIN_CROSSOVER_FREQUENCY, bandwidth.cutoffFrequency)
+      : Number(this.options.crossoverFrequency);
+    
+    // Leave room for the transition band below Nyquist; a full-band source
+    // then keeps practically all of its original signal
+    return Math.min(frequency, sampleRate / 2 - this.crossover.options.transitionWidth);
+  }
+  
+  /**
+   * Resample every channel of decoded audio
+   * @param {Object} audioData - Audio file data from readAudioFile
+   * @param {number} sampleRate - New sample rate in Hz
+   * @returns {Object} Audio data at the new rate
+   */
+  resampleAudio(audioData, sampleRate) {
+    const channels = audioData.channels.map(samples =>
+      this.resampler.resample(samples, audioData.sampleRate, sampleRate)
+    );
+    const numFrames = channels.length > 0 ? channels[0].length : 0;
     
+    return {
+      ...audioData,
+      channels,
+      sampleRate,
+      numFrames,
+      duration: numFrames / sampleRate
+    };
+  }
+  
+  /**
+   * Enhance decoded audio with neural models
+   * @param {Object} audioData - Audio file data from readAudioFile
+   * @param {Array<Object>} modelWeights - Models used for the whole file as { type, weight }
+   * @param {function} progressCallback - Callback for progress updates
+   * @param {Array<Object>} timeline - Optional typed segments; each segment is
+   *   enhanced with its own modelWeights and joined with crossfades
+   * @param {number} crossoverFrequency - Optional crossover in Hz; below it the
+   *   original signal is kept and only the band above comes from the model
+   */
+  async processAudio(audioData, modelWeights, progressCallback, timeline = null, crossoverFrequency = null) {
     try {
-      // Create a spectrogram for frequency-domain processing
-      const spectrogram = new Spectrogram();
-      
-      // Convert to WAV format for processing
-      const wavBuffer = audioData.buffer;
-      
-      // Parse WAV header (simplified)
-      const sampleRate = wavBuffer.readUInt32LE(24);
-      const numChannels = wavBuffer.readUInt16LE(22);
-      const bitsPerSample = wavBuffer.readUInt16LE(34);
-      const dataSize = wavBuffer.readUInt32LE(40);
-      
-      // Extract audio data
-      const dataOffset = 44; // Standard WAV header size
-      const numSamples = dataSize / (bitsPerSample / 8) / numChannels;
+      const { sampleRate, numChannels, bitsPerSample, channels } = audioData;
       
       // Process each channel
       const enhancedChannels = [];
       
       for (let channel = 0; channel < numChannels; channel++) {
-        // Extract channel data
-        const samples = new Float32Array(numSamples / numChannels);
-        const bytesPerSample = bitsPerSample / 8;
-        const scale = 1.0 / (1 << (bitsPerSample - 1));
+        const samples = channels[channel];
         
-        for (let i = 0; i < samples.length; i++) {
-          const sampleOffset = dataOffset + (i * numChannels + channel) * bytesPerSample;
-          
-          // Read sample based on bit depth
-          let sample = 0;
-          if (bitsPerSample === 16) {
-            sample = wavBuffer.readInt16LE(sampleOffset);
-          } else if (bitsPerSample === 24) {
-            // 24-bit samples need special handling
-            const b1 = wavBuffer[sampleOffset];
-            const b2 = wavBuffer[sampleOffset + 1];
-            const b3 = wavBuffer[sampleOffset + 2];
-            sample = ((b3 << 16) | (b2 << 8) | b1) << 8 >> 8; // Sign extension
-          } else if (bitsPerSample === 32) {
-            sample = wavBuffer.readInt32LE(sampleOffset);
-          } else {
-            // Default to 16-bit
-            sample = wavBuffer.readInt16LE(sampleOffset);
+        const channelProgress = progress => {
+          if (progressCallback) {
+            progressCallback((channel + progress / 100) / numChannels * 100);
           }
-          
-          // Normalize to [-1, 1]
-          samples[i] = sample * scale;
-        }
+        };
         
-        // For demonstration, we'll simulate processing with progress updates
-        // In a real implementation, we would:
-        // 1. Convert to spectrogram
-        // 2. Apply neural model to enhance spectrogram
-        // 3. Reconstruct phase
-        // 4. Convert back to time domain
+        let enhanced = timeline
+          ? await this.processSegments(samples, sampleRate, timeline, channelProgress)
+          : await this.enhanceWithModels(samples, modelWeights, channelProgress);
         
-        // Simulate processing
-        await new Promise(resolve => setTimeout(resolve, 200));
-        if (progressCallback) {
-          progressCallback((channel + 0.3) / numChannels * 100);
+        if (crossoverFrequency !== null) {
+          enhanced = this.crossover.combine(samples, enhanced, sampleRate, crossoverFrequency).output;
         }
         
-        // Just copy the samples for now
-        enhancedChannels.push(samples);
+        enhancedChannels.push(enhanced);
         
         if (progressCallback) {
           progressCallback((channel + 1) / numChannels * 100);
         }
       }
       
-      // Create a new WAV buffer with enhanced audio
-      // For demonstration, we'll just copy the original buffer
-      
       return {
-        buffer: wavBuffer,
         enhancedChannels,
         sampleRate,
         numChannels,
@@ -490,14 +693,227 @@ class AudioUpscaler {
       };
     } catch (error) {
       console.error('Error in audio processing:', error);
-      // Return original data on error
-      return audioData;
+      // Passing the input through would report an unprocessed file as upscaled
+      throw error;
+    }
+  }
+  
+  /**
+   * Measure how much content the model added above the source bandwidth
+   * @param {Object} enhancedData - Result of processAudio
+   * @param {Object} bandwidth - Source bandwidth from ContentAnalyzer.detectBandwidth
+   * @returns {Object} { outputCutoffFrequency, restoredBandwidth, restoredEnergyRatio }
+   */
+  measureRestoration(enhancedData, bandwidth) {
+    const channels = enhancedData.enhancedChannels || enhancedData.channels;
+    const { sampleRate } = enhancedData;
+    const output = this.contentAnalyzer.detectBandwidth(channels, sampleRate);
+    
+    return {
+      outputCutoffFrequency: output.cutoffFrequency,
+      restoredBandwidth: Math.max(0, output.cutoffFrequency - bandwidth.cutoffFrequency),
+      restoredEnergyRatio: this.contentAnalyzer.bandEnergyRatio(channels, sampleRate, bandwidth.cutoffFrequency)
+    };
+  }
+  
+  /**
+   * Loudness, peak and noise floor of the model input and output, for the
+   * quality report
+   * @param {Object} sourceData - Audio handed to the models, before resampling
+   * @param {Object} enhancedData - Output of processAudio
+   * @returns {Object} { source, output } LoudnessMeter measurements
+   */
+  measureLevels(sourceData, enhancedData) {
+    return {
+      source: this.loudnessMeter.measure(sourceData.channels, sourceData.sampleRate),
+      output: this.loudnessMeter.measure(enhancedData.enhancedChannels || enhancedData.channels, enhancedData.sampleRate)
+    };
+  }
+  
+  /**
+   * Enhance a block of mono samples with a single model
+   * @param {Float32Array} samples - Mono samples in [-1, 1]
+   * @param {Object} model - Model to apply
+   * @param {function} progressCallback - Callback for progress updates
+   * @returns {Float32Array} Enhanced samples of the same length
+   */
+  async enhanceSamples(samples, model, progressCallback) {
+    const { inferenceWindow, inferenceOverlap, inferenceBatchSize } = this.options;
+    
+    if (inferenceOverlap < 0 || inferenceOverlap >= inferenceWindow) {
+      throw new Error(`Inference overlap (${inferenceOverlap}) must be smaller than the window (${inferenceWindow})`);
+    }
+    
+    const length = samples.length;
+    if (length === 0) return new Float32Array(0);
+    
+    // Short inputs run as a single chunk of their own length
+    const windowSize = Math.min(inferenceWindow, length);
+    const overlap = Math.min(inferenceOverlap, windowSize - 1);
+    const hop = windowSize - overlap;
+    const numChunks = Math.max(1, Math.ceil((length - overlap) / hop));
+    const taper = this.createOverlapWindow(windowSize, overlap);
+    
+    const output = new Float32Array(length);
+    const weights = new Float32Array(length);
+    
+    for (let first = 0; first < numChunks; first += inferenceBatchSize) {
+      const batchChunks = Math.min(inferenceBatchSize, numChunks - first);
+      
+      // Gather the batch; the final chunk is zero-padded past the end
+      const input = new Float32Array(batchChunks * windowSize);
+      for (let b = 0; b < batchChunks; b++) {
+        const start = (first + b) * hop;
+        input.set(samples.subarray(start, Math.min(length, start + windowSize)), b * windowSize);
+      }
+      
+      const prediction = tf.tidy(() => model.predict(tf.tensor3d(input, [batchChunks, windowSize, 1])));
+      const predicted = await prediction.data();
+      prediction.dispose();
+      
+      // Overlap-add with the tapered window
+      for (let b = 0; b < batchChunks; b++) {
+        const start = (first + b) * hop;
+        const count = Math.min(windowSize, length - start);
+        for (let n = 0; n < count; n++) {
+          output[start + n] += predicted[b * windowSize + n] * taper[n];
+          weights[start + n] += taper[n];
+        }
+        
+        if (progressCallback) progressCallback((first + b + 1) / numChunks * 100);
+      }
+    }
+    
+    // Dividing by the summed window makes the crossfades sum to unity,
+    // including at the edges where only one chunk contributes
+    for (let i = 0; i < length; i++) {
+      output[i] /= weights[i];
+    }
+    
+    return output;
+  }
+  
+  /**
+   * Window for overlap-add: raised-cosine ramps over the overlap, flat between
+   * @param {number} size - Window length in samples
+   * @param {number} overlap - Ramp length in samples
+   * @returns {Float32Array} Window values, all strictly positive
+   */
+  createOverlapWindow(size, overlap) {
+    const window = new Float32Array(size).fill(1);
+    
+    for (let n = 0; n < overlap; n++) {
+      const ramp = 0.5 - 0.5 * Math.cos(Math.PI * (n + 0.5) / overlap);
+      window[n] = Math.min(window[n], ramp);
+      window[size - 1 - n] = Math.min(window[size - 1 - n], ramp);
     }
+    
+    return window;
   }
   
-  async saveAudioFile(audioData, outputPath) {
-    // Write the processed audio buffer to the output file
-    await fs.writeFile(outputPath, audioData.buffer);
+  /**
+   * Enhance samples with one model, or blend several models by weight
+   * @param {Float32Array} samples - Mono samples in [-1, 1]
+   * @param {Array<Object>} modelWeights - Models as { type, weight }
+   * @param {function} progressCallback - Callback for progress updates
+   * @returns {Float32Array} Enhanced samples of the same length
+   */
+  async enhanceWithModels(samples, modelWeights, progressCallback) {
+    if (modelWeights.length === 1) {
+      const model = this.models[modelWeights[0].type] || this.models.general;
+      return this.enhanceSamples(samples, model, progressCallback);
+    }
+    
+    const output = new Float32Array(samples.length);
+    
+    for (let m = 0; m < modelWeights.length; m++) {
+      const { type, weight } = modelWeights[m];
+      const model = this.models[type] || this.models.general;
+      
+      const enhanced = await this.enhanceSamples(samples, model, progress => {
+        if (progressCallback) progressCallback((m + progress / 100) / modelWeights.length * 100);
+      });
+      
+      for (let i = 0; i < output.length; i++) {
+        output[i] += enhanced[i] * weight;
+      }
+    }
+    
+    return output;
+  }
+  
+  /**
+   * Enhance each timeline segment with the models chosen for it and
+   * join neighbouring segments with complementary raised-cosine crossfades
+   * @param {Float32Array} samples - Mono samples in [-1, 1]
+   * @param {number} sampleRate - Sample rate of the samples
+   * @param {Array<Object>} timeline - Segments as { start, end, type, modelWeights }
+   *   with times in seconds
+   * @param {function} progressCallback - Callback for progress updates
+   * @returns {Float32Array} Enhanced samples of the same length
+   */
+  async processSegments(samples, sampleRate, timeline, progressCallback) {
+    const output = new Float32Array(samples.length);
+    const fadeLength = Math.max(1, Math.round(this.options.crossfadeDuration * sampleRate));
+    const halfFade = Math.floor(fadeLength / 2);
+    
+    // Boundaries in samples; the last segment always runs to the end
+    const boundaries = timeline.map(segment => Math.round(segment.start * sampleRate));
+    boundaries.push(samples.length);
+    
+    for (let i = 0; i < timeline.length; i++) {
+      const segmentModels = timeline[i].modelWeights || [{ type: timeline[i].type, weight: 1 }];
+      const hasPrevious = i > 0;
+      const hasNext = i < timeline.length - 1;
+      
+      // Extend the segment by half a crossfade on each inner boundary
+      const start = Math.max(0, boundaries[i] - (hasPrevious ? halfFade : 0));
+      const end = Math.min(samples.length, boundaries[i + 1] + (hasNext ? fadeLength - halfFade : 0));
+      if (end <= start) continue;
+      
+      const enhanced = await this.enhanceWithModels(
+        samples.subarray(start, end),
+        segmentModels,
+        progress => {
+          if (progressCallback) progressCallback((i + progress / 100) / timeline.length * 100);
+        }
+      );
+      
+      const fadeInEnd = hasPrevious ? boundaries[i] - halfFade + fadeLength : start;
+      const fadeOutStart = hasNext ? boundaries[i + 1] - halfFade : end;
+      
+      for (let n = start; n < end; n++) {
+        let gain = 1;
+        if (n < fadeInEnd) {
+          const t = (n - (boundaries[i] - halfFade) + 0.5) / fadeLength;
+          gain = 0.5 - 0.5 * Math.cos(Math.PI * Math.min(1, Math.max(0, t)));
+        } else if (n >= fadeOutStart) {
+          const t = (n - fadeOutStart + 0.5) / fadeLength;
+          gain = 0.5 + 0.5 * Math.cos(Math.PI * Math.min(1, Math.max(0, t)));
+        }
+        output[n] += enhanced[n - start] * gain;
+      }
+    }
+    
+    return output;
+  }
+  
+  /**
+   * Encode processed channels to a WAV file
+   * @param {Object} audioData - Result of processAudio, or decoded audio from readAudioFile
+   * @param {string} outputPath - Path to save the WAV file
+   * @param {Object} options - Optional { sampleRate, bitDepth, clipProtection } overrides
+   * @returns {Object} Encoding statistics (peak, gain, clippedSamples)
+   */
+  async saveAudioFile(audioData, outputPath, options = {}) {
+    const channels = audioData.enhancedChannels || audioData.channels;
+    
+    return this.wavWriter.writeFile(outputPath, channels, {
+      sampleRate: audioData.sampleRate,
+      bitDepth: this.options.intermediateBitDepth,
+      clipProtection: this.options.clipProtection,
+      ...options
+    });
   }
   
   /**
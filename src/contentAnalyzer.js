@@ -2,102 +2,632 @@ const ffmpeg = require('fluent-ffmpeg');
 const fs = require('fs').promises;
 const path = require('path');
 const tf = require('@tensorflow/tfjs-node');
+const { Spectrogram } = require('./spectrogram');
+const { FeatureExtractor } = require('./featureExtractor');
+const { WavReader } = require('./wavReader');
+
+const CONTENT_TYPES = ['voice', 'music', 'ambient'];
 
 class ContentAnalyzer {
-  constructor() {
+  constructor(options = {}) {
+    this.options = {
+      analysisSampleRate: 22050,
+      fftSize: 2048,
+      hopSize: 512,
+      segmentDuration: 3, // Seconds per classified window and per training example; a trained model's own length wins
+      minSegmentDuration: 6, // Shorter timeline segments are merged into neighbours
+      bandwidthFftSize: 4096, // Frame size for the long-term spectrum behind cutoff detection
+      bandwidthMaxFrames: 2000, // Frames spread across the file for the long-term spectrum
+      bandwidthRangeDb: 70, // Bins this far below the spectral peak count as empty
+      ...options
+    };
+
     this.model = null;
+    this.modelTrained = false;
+    this.normalization = null;
     this.initialized = false;
+    this.spectrogram = new Spectrogram({
+      fftSize: this.options.fftSize,
+      hopSize: this.options.hopSize
+    });
+    this.featureExtractor = new FeatureExtractor({
+      fftSize: this.options.fftSize,
+      hopSize: this.options.hopSize
+    });
+    // Blackman-Harris sidelobes sit below the range used for cutoff detection,
+    // so leakage from strong low frequencies cannot hide a lowpass edge
+    this.bandwidthSpectrogram = new Spectrogram({
+      fftSize: this.options.bandwidthFftSize,
+      window: 'blackman-harris',
+      center: false
+    });
+    this.wavReader = new WavReader();
   }
-  
+
   async initialize() {
     try {
       // Load content classification model if available
       const modelPath = path.join(__dirname, '../models/content-classifier/model.json');
-      
+
       try {
         this.model = await tf.loadLayersModel(`file://${modelPath}`);
+        this.modelTrained = true;
         console.log('Loaded content classifier model');
+
+        // Feature standardization saved alongside the trained model
+        try {
+          const normalizationPath = path.join(path.dirname(modelPath), 'normalization.json');
+          this.normalization = JSON.parse(await fs.readFile(normalizationPath, 'utf8'));
+          // Features depend on the window length; classify windows as long as the training examples
+          if (this.normalization.segmentDuration) {
+            this.options.segmentDuration = this.normalization.segmentDuration;
+          }
+        } catch (err) {
+          this.normalization = null;
+        }
       } catch (err) {
         console.log('Creating simple content classifier model');
         this.model = this.createClassifierModel();
+        this.modelTrained = false;
       }
-      
+
       this.initialized = true;
     } catch (err) {
       console.error('Error initializing content analyzer:', err);
     }
   }
-  
+
   createClassifierModel() {
     // Simple model to classify audio content
     const model = tf.sequential();
-    
+
     // Input layer expects spectral features
     model.add(tf.layers.dense({
-      inputShape: [40], // 40 MFCCs or similar features
+      inputShape: [40], // MFCC means and standard deviations from FeatureExtractor
       units: 128,
       activation: 'relu'
     }));
-    
+
     model.add(tf.layers.dropout({ rate: 0.3 }));
-    
+
     model.add(tf.layers.dense({
       units: 64,
       activation: 'relu'
     }));
-    
+
     // Output layer with content type probabilities
     model.add(tf.layers.dense({
       units: 3, // voice, music, ambient
       activation: 'softmax'
     }));
-    
+
     model.compile({
       optimizer: 'adam',
       loss: 'categoricalCrossentropy',
       metrics: ['accuracy']
     });
-    
+
     return model;
   }
-  
+
+  /**
+   * Decode an audio file to mono float samples at the analysis sample rate
+   * @param {string} filePath - Path to audio file
+   * @returns {Object} { samples, sampleRate }
+   */
+  async decodeAudio(filePath) {
+    const sampleRate = this.options.analysisSampleRate;
+
+    const buffer = await new Promise((resolve, reject) => {
+      const chunks = [];
+      const stream = ffmpeg(filePath)
+        .audioChannels(1)
+        .audioFrequency(sampleRate)
+        .audioCodec('pcm_f32le')
+        .format('wav')
+        .on('error', reject)
+        .pipe();
+
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('end', () => resolve(Buffer.concat(chunks)));
+      stream.on('error', reject);
+    });
+
+    // Piped WAV output has no final sizes; the reader uses the bytes present
+    const { channels } = this.wavReader.decode(buffer);
+
+    return { samples: channels[0], sampleRate };
+  }
+
+  /**
+   * Analyze an audio file and classify its content
+   * @param {string} filePath - Path to audio file
+   * @returns {Object} Content type confidences and measured features
+   */
   async analyze(filePath) {
-    // For demonstration, we'll use a simplified approach without actually analyzing the file
-    // In a real implementation, we would extract features and use the model
-    
-    // Simulate different results based on the filename
-    if (filePath.includes('complex_tone')) {
-      return {
-        voiceConfidence: 0.2,
-        musicConfidence: 0.7,
-        ambientConfidence: 0.1,
-        harmonicContent: 0.8,
-        transientContent: 0.6,
-        noiseContent: 0.2,
-        dominantType: 'music'
-      };
-    } else if (filePath.includes('ambient')) {
+    const { samples, sampleRate } = await this.decodeAudio(filePath);
+    return {
+      ...this.analyzeSamples(samples, sampleRate),
+      timeline: this.analyzeTimeline(samples, sampleRate)
+    };
+  }
+
+  /**
+   * Classify fixed-length windows and merge them into a timeline of typed segments
+   * @param {Float32Array} samples - Mono time domain samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Array<Object>} Segments as { start, end, type, voiceConfidence,
+   *   musicConfidence, ambientConfidence } with times in seconds
+   */
+  analyzeTimeline(samples, sampleRate) {
+    const windowLength = Math.round(this.options.segmentDuration * sampleRate);
+    const duration = samples.length / sampleRate;
+    const windows = [];
+
+    for (let start = 0; start < samples.length; start += windowLength) {
+      const end = Math.min(samples.length, start + windowLength);
+      const result = this.analyzeSamples(samples.subarray(start, end), sampleRate);
+      windows.push({
+        start: start / sampleRate,
+        end: end / sampleRate,
+        type: result.dominantType,
+        scores: [result.voiceConfidence, result.musicConfidence, result.ambientConfidence]
+      });
+    }
+
+    if (windows.length === 0) {
+      return [];
+    }
+
+    // Majority vote over neighbouring windows removes isolated flips
+    const smoothedTypes = windows.map((window, i) => {
+      const neighbours = windows.slice(Math.max(0, i - 1), i + 2).map(w => w.type);
+      const counts = {};
+      neighbours.forEach(type => { counts[type] = (counts[type] || 0) + 1; });
+      const majority = Object.keys(counts).find(type => counts[type] > neighbours.length / 2);
+      return majority || window.type;
+    });
+
+    // Merge runs of the same type
+    let segments = [];
+    windows.forEach((window, i) => {
+      const type = smoothedTypes[i];
+      const last = segments[segments.length - 1];
+      if (last && last.type === type) {
+        last.end = window.end;
+        last.windows.push(window);
+      } else {
+        segments.push({ start: window.start, end: window.end, type, windows: [window] });
+      }
+    });
+
+    // Fold segments that are too short to route on their own into the
+    // longer neighbour
+    const minDuration = Math.min(this.options.minSegmentDuration, duration);
+    let merged = true;
+    while (merged && segments.length > 1) {
+      merged = false;
+      for (let i = 0; i < segments.length; i++) {
+        const segment = segments[i];
+        if (segment.end - segment.start >= minDuration) continue;
+
+        const previous = segments[i - 1];
+        const next = segments[i + 1];
+        const target = !previous ? next
+          : !next ? previous
+            : (previous.end - previous.start >= next.end - next.start ? previous : next);
+
+        target.start = Math.min(target.start, segment.start);
+        target.end = Math.max(target.end, segment.end);
+        target.windows.push(...segment.windows);
+        segments.splice(i, 1);
+
+        // Neighbours of the same type can now be joined
+        segments = segments.reduce((result, current) => {
+          const last = result[result.length - 1];
+          if (last && last.type === current.type) {
+            last.end = current.end;
+            last.windows.push(...current.windows);
+          } else {
+            result.push(current);
+          }
+          return result;
+        }, []);
+
+        merged = true;
+        break;
+      }
+    }
+
+    return segments.map(segment => {
+      const mean = [0, 1, 2].map(k => {
+        return segment.windows.reduce((sum, window) => sum + window.scores[k], 0) / segment.windows.length;
+      });
       return {
-        voiceConfidence: 0.1,
-        musicConfidence: 0.2,
-        ambientConfidence: 0.7,
-        harmonicContent: 0.3,
-        transientContent: 0.2,
-        noiseContent: 0.8,
-        dominantType: 'ambient'
+        start: segment.start,
+        end: segment.end,
+        type: segment.type,
+        voiceConfidence: mean[0],
+        musicConfidence: mean[1],
+        ambientConfidence: mean[2]
       };
+    });
+  }
+
+  /**
+   * Analyze decoded mono samples and classify their content
+   * @param {Float32Array} samples - Mono time domain samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} Content type confidences and measured features
+   */
+  analyzeSamples(samples, sampleRate) {
+    const features = this.computeDescriptors(samples, sampleRate);
+
+    // Only trust the network once it has actually been trained; a freshly
+    // created classifier would just return noise
+    let scores;
+    let classifier;
+    if (this.model && this.modelTrained) {
+      scores = this.classify(samples, sampleRate);
+      classifier = 'model';
     } else {
-      return {
-        voiceConfidence: 0.7,
-        musicConfidence: 0.2,
-        ambientConfidence: 0.1,
-        harmonicContent: 0.5,
-        transientContent: 0.3,
-        noiseContent: 0.4,
-        dominantType: 'voice'
-      };
+      scores = this.heuristicScores(features);
+      classifier = 'heuristic';
+    }
+
+    const [voiceConfidence, musicConfidence, ambientConfidence] = scores;
+    const dominantType = CONTENT_TYPES[scores.indexOf(Math.max(...scores))];
+
+    return {
+      voiceConfidence,
+      musicConfidence,
+      ambientConfidence,
+      harmonicContent: features.harmonicity,
+      transientContent: Math.min(1, features.onsetDensity / 10),
+      noiseContent: features.noiseContent,
+      dominantType,
+      classifier,
+      features
+    };
+  }
+
+  /**
+   * Run the classifier network on the MFCC summary of the samples
+   * @returns {Array<number>} Voice, music and ambient probabilities
+   */
+  classify(samples, sampleRate) {
+    const vector = this.normalizeFeatures(this.featureExtractor.featureVector(samples, sampleRate));
+    const probabilities = tf.tidy(() => {
+      return this.model.predict(tf.tensor2d([Array.from(vector)])).dataSync();
+    });
+    return Array.from(probabilities);
+  }
+
+  /**
+   * Standardize a feature vector with the statistics saved at training time
+   * @param {Float32Array} vector - Raw feature vector
+   * @returns {Float32Array} Standardized feature vector
+   */
+  normalizeFeatures(vector) {
+    if (!this.normalization) return vector;
+
+    const { mean, std } = this.normalization;
+    const normalized = new Float32Array(vector.length);
+    for (let i = 0; i < vector.length; i++) {
+      normalized[i] = (vector[i] - mean[i]) / (std[i] || 1);
     }
+    return normalized;
+  }
+
+  /**
+   * Rule-based confidences used until a trained classifier is available
+   * @param {Object} features - Descriptors from computeDescriptors
+   * @returns {Array<number>} Voice, music and ambient confidences summing to 1
+   */
+  heuristicScores(features) {
+    const {
+      spectralCentroid,
+      harmonicity,
+      onsetDensity,
+      energyVariation,
+      noiseContent
+    } = features;
+
+    // Speech: pitched, centroid in the formant range, strongly modulated
+    // energy and a syllable-like onset rate
+    const centroidInVoiceRange = Math.exp(-Math.pow((spectralCentroid - 1500) / 1500, 2));
+    const syllableRate = Math.exp(-Math.pow((onsetDensity - 4) / 3, 2));
+    const voice = harmonicity * 0.4 + centroidInVoiceRange * 0.2 +
+      Math.min(1, energyVariation) * 0.25 + syllableRate * 0.15;
+
+    // Music: pitched and sustained, with steadier energy
+    const music = harmonicity * 0.55 + (1 - Math.min(1, energyVariation)) * 0.3 +
+      (1 - noiseContent) * 0.15;
+
+    // Ambience: noise-like, weakly pitched
+    const ambient = noiseContent * 0.6 + (1 - harmonicity) * 0.4;
+
+    const total = voice + music + ambient || 1;
+    return [voice / total, music / total, ambient / total];
+  }
+
+  /**
+   * Measure spectral and temporal descriptors of the signal
+   * @param {Float32Array} samples - Mono time domain samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} Averaged descriptors
+   */
+  computeDescriptors(samples, sampleRate) {
+    const spec = this.spectrogram.fromTimeDomain(samples);
+    const { timeFrames, freqBins, fftSize, hopSize } = spec;
+    const binWidth = sampleRate / fftSize;
+
+    // Autocorrelation lag range for pitch between 60 Hz and 1 kHz
+    const minLag = Math.floor(sampleRate / 1000);
+    const maxLag = Math.min(fftSize / 2, Math.ceil(sampleRate / 60));
+
+    const power = new Float32Array(fftSize);
+    const zeros = new Float32Array(fftSize);
+    const previousMagnitude = new Float32Array(freqBins);
+    const flux = new Float32Array(timeFrames);
+    const magnitudeSum = new Float32Array(timeFrames);
+    const frameEnergy = new Float32Array(timeFrames);
+
+    let maxEnergy = 0;
+    for (let frame = 0; frame < timeFrames; frame++) {
+      let energy = 0;
+      for (let bin = 0; bin < freqBins; bin++) {
+        const mag = spec.magnitude[frame * freqBins + bin];
+        energy += mag * mag;
+      }
+      frameEnergy[frame] = energy;
+      if (energy > maxEnergy) maxEnergy = energy;
+    }
+
+    // Ignore frames more than 60 dB below the loudest one
+    const silenceThreshold = maxEnergy * 1e-6;
+
+    let activeFrames = 0;
+    let centroidSum = 0;
+    let flatnessSum = 0;
+    let rolloffSum = 0;
+    let harmonicitySum = 0;
+
+    for (let frame = 0; frame < timeFrames; frame++) {
+      const offset = frame * freqBins;
+
+      // Half-wave rectified spectral flux for onset detection
+      let frameFlux = 0;
+      for (let bin = 0; bin < freqBins; bin++) {
+        const mag = spec.magnitude[offset + bin];
+        frameFlux += Math.max(0, mag - previousMagnitude[bin]);
+        magnitudeSum[frame] += mag;
+        previousMagnitude[bin] = mag;
+      }
+      flux[frame] = frameFlux;
+
+      const total = frameEnergy[frame];
+      if (total <= silenceThreshold || total === 0) continue;
+      activeFrames++;
+
+      let weighted = 0;
+      let logSum = 0;
+      for (let bin = 0; bin < freqBins; bin++) {
+        const mag = spec.magnitude[offset + bin];
+        const p = mag * mag;
+        weighted += bin * binWidth * p;
+        logSum += Math.log(p + 1e-12);
+
+        power[bin] = p;
+        if (bin > 0 && bin < freqBins - 1) {
+          power[fftSize - bin] = p;
+        }
+      }
+
+      centroidSum += weighted / total;
+      flatnessSum += Math.exp(logSum / freqBins) / (total / freqBins);
+
+      let cumulative = 0;
+      let rolloffBin = freqBins - 1;
+      for (let bin = 0; bin < freqBins; bin++) {
+        cumulative += power[bin];
+        if (cumulative >= total * 0.85) {
+          rolloffBin = bin;
+          break;
+        }
+      }
+      rolloffSum += rolloffBin * binWidth;
+
+      // Autocorrelation is the inverse transform of the power spectrum
+      const autocorrelation = this.spectrogram.performInverseFFT(power, zeros);
+      let peak = 0;
+      if (autocorrelation[0] > 0) {
+        for (let lag = minLag; lag <= maxLag; lag++) {
+          const value = autocorrelation[lag] / autocorrelation[0];
+          if (value > peak) peak = value;
+        }
+      }
+      harmonicitySum += peak;
+    }
+
+    const duration = samples.length / sampleRate;
+
+    // Zero-crossing rate over the whole signal
+    let crossings = 0;
+    for (let i = 1; i < samples.length; i++) {
+      if ((samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+    }
+
+    // Energy modulation: coefficient of variation of active frame RMS
+    let rmsSum = 0;
+    let rmsSquareSum = 0;
+    for (let frame = 0; frame < timeFrames; frame++) {
+      if (frameEnergy[frame] <= silenceThreshold) continue;
+      const rms = Math.sqrt(frameEnergy[frame]);
+      rmsSum += rms;
+      rmsSquareSum += rms * rms;
+    }
+    const rmsMean = activeFrames > 0 ? rmsSum / activeFrames : 0;
+    const rmsVariance = activeFrames > 0 ? rmsSquareSum / activeFrames - rmsMean * rmsMean : 0;
+
+    // Onsets are local flux peaks well above the surrounding average that
+    // also carry a meaningful share of the frame's spectrum
+    let onsets = 0;
+    const context = 8;
+    for (let frame = 1; frame < timeFrames - 1; frame++) {
+      if (flux[frame] <= flux[frame - 1] || flux[frame] < flux[frame + 1]) continue;
+
+      let localSum = 0;
+      let count = 0;
+      for (let i = Math.max(0, frame - context); i <= Math.min(timeFrames - 1, frame + context); i++) {
+        localSum += flux[i];
+        count++;
+      }
+      if (flux[frame] > 1.5 * localSum / count &&
+          flux[frame] > 0.1 * magnitudeSum[frame] &&
+          frameEnergy[frame] > silenceThreshold) {
+        onsets++;
+      }
+    }
+
+    const active = Math.max(1, activeFrames);
+    const spectralFlatness = flatnessSum / active;
+    const harmonicity = harmonicitySum / active;
+
+    return {
+      duration,
+      sampleRate,
+      spectralCentroid: centroidSum / active,
+      spectralFlatness,
+      spectralRolloff: rolloffSum / active,
+      zeroCrossingRate: samples.length > 1 ? crossings / (samples.length - 1) * sampleRate : 0,
+      harmonicity,
+      onsetDensity: duration > 0 ? onsets / duration : 0,
+      energyVariation: rmsMean > 0 ? Math.sqrt(Math.max(0, rmsVariance)) / rmsMean : 0,
+      noiseContent: Math.min(1, Math.max(0, 0.5 * spectralFlatness + 0.5 * (1 - harmonicity))),
+      activeRatio: timeFrames > 0 ? activeFrames / timeFrames : 0,
+      hopDuration: hopSize / sampleRate
+    };
+  }
+
+  /**
+   * Measure the effective bandwidth of a signal: the highest frequency in the
+   * long-term spectrum that still carries content. Lossy codecs and narrowband
+   * sources leave nothing above a sharp cutoff regardless of the sample rate.
+   * @param {Array<Float32Array>} channels - Per-channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} { cutoffFrequency, nyquist, bandLimited, peakDb }
+   */
+  detectBandwidth(channels, sampleRate) {
+    const { power, binWidth } = this.longTermSpectrum(channels, sampleRate);
+    const nyquist = sampleRate / 2;
+    const freqBins = power.length;
+
+    // Smooth over a few bins so isolated tones or gaps do not decide the edge
+    const smoothing = 3;
+    const levels = new Float32Array(freqBins);
+    for (let bin = 0; bin < freqBins; bin++) {
+      let sum = 0;
+      let count = 0;
+      for (let i = Math.max(0, bin - smoothing); i <= Math.min(freqBins - 1, bin + smoothing); i++) {
+        sum += power[i];
+        count++;
+      }
+      levels[bin] = 10 * Math.log10(sum / count + 1e-20);
+    }
+
+    // Skip DC and subsonic bins when finding the reference peak
+    const firstBin = Math.max(1, Math.ceil(20 / binWidth));
+    let peakDb = -Infinity;
+    for (let bin = firstBin; bin < freqBins; bin++) {
+      if (levels[bin] > peakDb) peakDb = levels[bin];
+    }
+
+    // Silence has no measurable bandwidth; report the full band
+    if (peakDb <= -190) {
+      return { cutoffFrequency: nyquist, nyquist, bandLimited: false, peakDb };
+    }
+
+    const threshold = peakDb - this.options.bandwidthRangeDb;
+    let cutoffBin = firstBin;
+    for (let bin = freqBins - 1; bin >= firstBin; bin--) {
+      if (levels[bin] > threshold) {
+        cutoffBin = bin;
+        break;
+      }
+    }
+
+    const cutoffFrequency = Math.min(nyquist, (cutoffBin + 0.5) * binWidth);
+
+    return {
+      cutoffFrequency,
+      nyquist,
+      bandLimited: cutoffFrequency < 0.9 * nyquist,
+      peakDb
+    };
+  }
+
+  /**
+   * Fraction of a signal's energy that lies above a frequency
+   * @param {Array<Float32Array>} channels - Per-channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @param {number} frequency - Lower edge of the band in Hz
+   * @returns {number} Energy above the frequency divided by the total energy
+   */
+  bandEnergyRatio(channels, sampleRate, frequency) {
+    const { power, binWidth } = this.longTermSpectrum(channels, sampleRate);
+    const edge = Math.ceil(frequency / binWidth);
+
+    let total = 0;
+    let above = 0;
+    for (let bin = 0; bin < power.length; bin++) {
+      total += power[bin];
+      if (bin >= edge) above += power[bin];
+    }
+
+    return total > 0 ? above / total : 0;
+  }
+
+  /**
+   * Average power spectrum over all channels, from frames spread evenly
+   * over the whole signal
+   * @returns {Object} { power, binWidth }
+   */
+  longTermSpectrum(channels, sampleRate) {
+    const spectrogram = this.bandwidthSpectrogram;
+    const { fftSize } = spectrogram;
+    const freqBins = fftSize / 2 + 1;
+    const window = spectrogram.getWindow();
+    const length = channels.length > 0 ? channels[0].length : 0;
+    const power = new Float64Array(freqBins);
+
+    const availableFrames = Math.max(1, Math.floor((length - fftSize) / fftSize) + 1);
+    const numFrames = Math.min(availableFrames, this.options.bandwidthMaxFrames);
+    const stride = numFrames > 1 ? Math.max(0, length - fftSize) / (numFrames - 1) : 0;
+    const frame = new Float32Array(fftSize);
+
+    for (let f = 0; f < numFrames; f++) {
+      const start = Math.round(f * stride);
+
+      // Average channel powers rather than mixing, so out-of-phase
+      // content cannot cancel
+      for (const samples of channels) {
+        frame.fill(0);
+        for (let i = 0; i < fftSize && start + i < length; i++) {
+          frame[i] = samples[start + i] * window[i];
+        }
+
+        const { real, imag } = spectrogram.performFFT(frame);
+        for (let bin = 0; bin < freqBins; bin++) {
+          power[bin] += (real[bin] * real[bin] + imag[bin] * imag[bin]) / (numFrames * channels.length);
+        }
+      }
+    }
+
+    return { power, binWidth: sampleRate / fftSize };
   }
 }
 
-module.exports = { ContentAnalyzer };
\ No newline at end of file
+ContentAnalyzer.CONTENT_TYPES = CONTENT_TYPES;
+
+module.exports = { ContentAnalyzer };
@@ -0,0 +1,206 @@
+const FFT = require('fft.js');
+const { besselI0 } = require('./spectrogram');
+
+/**
+ * Crossover splits signals at a frequency with a linear-phase FIR lowpass and
+ * its exact complement, so the low band of one signal and the high band of
+ * another sum back without phase or level errors at the crossover point
+ */
+class Crossover {
+  constructor(options = {}) {
+    this.options = {
+      transitionWidth: 500, // Hz between the passband and stopband edges
+      stopbandAttenuation: 80, // dB, sets the Kaiser window and filter length
+      maxAlignmentLag: 0.005, // Seconds of delay searched when aligning the two signals
+      alignmentExcerpt: 65536, // Samples used to estimate the delay
+      minCorrelation: 0.3, // Weaker correlation than this leaves the signals unshifted
+      ...options
+    };
+
+    this.kernels = new Map();
+  }
+
+  /**
+   * Keep `low` below the frequency and `high` above it
+   * @param {Float32Array} low - Signal supplying the low band (the original)
+   * @param {Float32Array} high - Signal supplying the high band (the model output)
+   * @param {number} sampleRate - Sample rate of both signals
+   * @param {number} frequency - Crossover frequency in Hz
+   * @returns {Object} { output, lag } with the lag applied to `high`, in samples
+   */
+  combine(low, high, sampleRate, frequency) {
+    // Line the model output up with the original first, otherwise the two
+    // bands would interfere around the crossover
+    const maxLag = Math.round(this.options.maxAlignmentLag * sampleRate);
+    const lag = this.estimateLag(low, high, maxLag);
+    const aligned = lag === 0 ? high : this.shift(high, lag);
+
+    // lowpass(low) + highpass(high) = high + lowpass(low - high), one filter pass
+    const difference = new Float32Array(low.length);
+    for (let i = 0; i < low.length; i++) {
+      difference[i] = low[i] - aligned[i];
+    }
+
+    const filtered = this.lowpass(difference, this.design(sampleRate, frequency));
+    const output = new Float32Array(low.length);
+    for (let i = 0; i < low.length; i++) {
+      output[i] = aligned[i] + filtered[i];
+    }
+
+    return { output, lag };
+  }
+
+  /**
+   * Design (or fetch from cache) a Kaiser-windowed sinc lowpass
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {number} frequency - Cutoff (-6 dB point) in Hz
+   * @returns {Float32Array} Symmetric kernel with an odd number of taps
+   */
+  design(sampleRate, frequency) {
+    const key = `${sampleRate}:${frequency}`;
+    if (this.kernels.has(key)) {
+      return this.kernels.get(key);
+    }
+
+    const attenuation = this.options.stopbandAttenuation;
+    const transition = 2 * Math.PI * this.options.transitionWidth / sampleRate;
+
+    // Kaiser's formulas for beta and length from attenuation and transition width
+    const beta = attenuation > 50
+      ? 0.1102 * (attenuation - 8.7)
+      : attenuation >= 21
+        ? 0.5842 * Math.pow(attenuation - 21, 0.4) + 0.07886 * (attenuation - 21)
+        : 0;
+    let taps = Math.ceil((attenuation - 8) / (2.285 * transition)) + 1;
+    if (taps % 2 === 0) taps++;
+
+    const cutoff = frequency / sampleRate;
+    const middle = (taps - 1) / 2;
+    const kernel = new Float32Array(taps);
+    const denominator = besselI0(beta);
+
+    for (let n = 0; n < taps; n++) {
+      const x = n - middle;
+      const ratio = x / middle;
+      const window = besselI0(beta * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / denominator;
+      const sinc = x === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * x) / (Math.PI * x);
+      kernel[n] = sinc * window;
+    }
+
+    this.kernels.set(key, kernel);
+    return kernel;
+  }
+
+  /**
+   * Zero-phase FIR filtering by FFT overlap-add; the kernel's group delay
+   * is removed so the output lines up with the input
+   * @param {Float32Array} samples - Input samples
+   * @param {Float32Array} kernel - Symmetric FIR kernel
+   * @returns {Float32Array} Filtered samples of the same length
+   */
+  lowpass(samples, kernel) {
+    const taps = kernel.length;
+    const delay = (taps - 1) / 2;
+    let fftSize = 1;
+    while (fftSize < 4 * taps) fftSize *= 2;
+    const blockSize = fftSize - taps + 1;
+
+    const fft = new FFT(fftSize);
+    const kernelSpectrum = fft.createComplexArray();
+    const padded = new Float64Array(fftSize);
+    padded.set(kernel);
+    fft.realTransform(kernelSpectrum, padded);
+    fft.completeSpectrum(kernelSpectrum);
+
+    const output = new Float32Array(samples.length);
+    const block = new Float64Array(fftSize);
+    const spectrum = fft.createComplexArray();
+    const result = fft.createComplexArray();
+
+    for (let start = 0; start < samples.length; start += blockSize) {
+      block.fill(0);
+      const count = Math.min(blockSize, samples.length - start);
+      for (let i = 0; i < count; i++) {
+        block[i] = samples[start + i];
+      }
+
+      fft.realTransform(spectrum, block);
+      fft.completeSpectrum(spectrum);
+      for (let i = 0; i < fftSize; i++) {
+        const re = spectrum[2 * i] * kernelSpectrum[2 * i] - spectrum[2 * i + 1] * kernelSpectrum[2 * i + 1];
+        const im = spectrum[2 * i] * kernelSpectrum[2 * i + 1] + spectrum[2 * i + 1] * kernelSpectrum[2 * i];
+        spectrum[2 * i] = re;
+        spectrum[2 * i + 1] = im;
+      }
+      fft.inverseTransform(result, spectrum);
+
+      // Sample start + i of the full convolution lands on output index start + i - delay
+      for (let i = 0; i < count + taps - 1; i++) {
+        const index = start + i - delay;
+        if (index >= 0 && index < output.length) {
+          output[index] += result[2 * i];
+        }
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Find the delay of `signal` relative to `reference` by normalized
+   * cross-correlation over an excerpt from the middle of both
+   * @returns {number} Lag in samples (positive when `signal` is late)
+   */
+  estimateLag(reference, signal, maxLag) {
+    const length = Math.min(reference.length, signal.length);
+    if (maxLag <= 0 || length <= 2 * maxLag) return 0;
+
+    const excerpt = Math.min(this.options.alignmentExcerpt, length - 2 * maxLag);
+    const start = Math.floor((length - excerpt) / 2);
+
+    let referenceEnergy = 0;
+    for (let i = start; i < start + excerpt; i++) {
+      referenceEnergy += reference[i] * reference[i];
+    }
+    if (referenceEnergy === 0) return 0;
+
+    // Search outwards from zero so periodic material settles on the smallest lag
+    let bestLag = 0;
+    let bestCorrelation = 0;
+    for (let step = 0; step <= 2 * maxLag; step++) {
+      const lag = step % 2 === 0 ? step / 2 : -(step + 1) / 2;
+      let product = 0;
+      let signalEnergy = 0;
+      for (let i = start; i < start + excerpt; i++) {
+        const value = signal[i + lag];
+        product += reference[i] * value;
+        signalEnergy += value * value;
+      }
+      if (signalEnergy === 0) continue;
+
+      const correlation = product / Math.sqrt(referenceEnergy * signalEnergy);
+      if (correlation > bestCorrelation + 1e-6) {
+        bestCorrelation = correlation;
+        bestLag = lag;
+      }
+    }
+
+    return bestCorrelation >= this.options.minCorrelation ? bestLag : 0;
+  }
+
+  /**
+   * Advance a signal by `lag` samples (delay it when negative), zero-filling the ends
+   */
+  shift(samples, lag) {
+    const output = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      const index = i + lag;
+      if (index >= 0 && index < samples.length) {
+        output[i] = samples[index];
+      }
+    }
+    return output;
+  }
+}
+
+module.exports = { Crossover };
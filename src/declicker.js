@@ -0,0 +1,252 @@
+/**
+ * Declicker removes clicks and crackle: short impulsive events that a
+ * linear-prediction (autoregressive) model of the surrounding audio cannot
+ * explain. Each event is replaced by the least-squares AR interpolation from
+ * the samples around it, which continues the music through the gap instead
+ * of drawing a straight line across it.
+ */
+class Declicker {
+  constructor(options = {}) {
+    this.options = {
+      sensitivity: 5, // 1 (only loud clicks) to 10 (faint crackle too)
+      order: 24, // Prediction coefficients of the AR model
+      blockSize: 2048, // Samples modelled by one set of coefficients
+      maxClickLength: 0.002, // Seconds; longer events are music, not clicks
+      mergeGap: 0.0005, // Seconds between detections that still belong to one click
+      margin: 2, // Samples repaired either side of the detected event
+      ...options
+    };
+
+    const { sensitivity } = this.options;
+    if (!(sensitivity >= 1 && sensitivity <= 10)) {
+      throw new Error(`Declick sensitivity must be between 1 and 10, got ${sensitivity}`);
+    }
+  }
+
+  /**
+   * Prediction-error level, in robust standard deviations, that marks a click
+   */
+  threshold() {
+    return 3 + (10 - this.options.sensitivity);
+  }
+
+  /**
+   * Detect and repair clicks in one channel
+   * @param {Float32Array} samples - Channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} { samples, clicks, repairedSamples, skipped } with
+   *   skipped counting events too long to be clicks
+   */
+  process(samples, sampleRate) {
+    const { order, blockSize, margin } = this.options;
+    const output = new Float64Array(samples);
+    const length = output.length;
+    const threshold = this.threshold();
+
+    // Pass 1: model each block and flag samples its model cannot predict
+    const flags = new Uint8Array(length);
+    const blockCoefficients = [];
+    for (let start = 0; start < length; start += blockSize) {
+      const end = Math.min(length, start + blockSize);
+      const coefficients = this.estimateCoefficients(output, start, end);
+      blockCoefficients.push(coefficients);
+      if (!coefficients) continue;
+
+      const residual = new Float64Array(end - start);
+      for (let i = Math.max(start, order); i < end; i++) {
+        residual[i - start] = this.predictionError(output, i, coefficients);
+      }
+
+      const sigma = 1.4826 * this.median(residual.map(Math.abs));
+      if (!(sigma > 0)) continue;
+      for (let i = Math.max(start, order); i < end; i++) {
+        if (Math.abs(residual[i - start]) > threshold * sigma) flags[i] = 1;
+      }
+    }
+
+    // Pass 2: group the flags into events and interpolate each short one
+    const maxLength = Math.max(1, Math.round(this.options.maxClickLength * sampleRate));
+    const mergeGap = Math.max(1, Math.round(this.options.mergeGap * sampleRate));
+    let clicks = 0;
+    let repairedSamples = 0;
+    let skipped = 0;
+
+    for (let i = 0; i < length; i++) {
+      if (!flags[i]) continue;
+
+      let last = i;
+      for (let j = i + 1; j < length && j <= last + mergeGap; j++) {
+        if (flags[j]) last = j;
+      }
+
+      // A click also corrupts the next `order` predictions, so the flags
+      // trail the damaged samples; the margin covers the onset side
+      const start = Math.max(order, i - margin);
+      const end = Math.min(length - order, last + 1 + margin);
+      i = last;
+
+      if (end - start > maxLength) {
+        skipped++;
+        continue;
+      }
+      if (end <= start) continue;
+
+      const coefficients = blockCoefficients[Math.floor(((start + end) / 2) / blockSize)];
+      if (coefficients && this.interpolate(output, start, end, coefficients)) {
+        clicks++;
+        repairedSamples += end - start;
+      }
+    }
+
+    return { samples: Float32Array.from(output), clicks, repairedSamples, skipped };
+  }
+
+  /**
+   * AR coefficients for a block by the autocorrelation method (Levinson-Durbin)
+   * @returns {Float64Array|null} a[1..order] with x[n] ~ sum a[k] x[n - k], or
+   *   null for a silent block
+   */
+  estimateCoefficients(samples, start, end) {
+    const { order } = this.options;
+    const length = end - start;
+    if (length <= order * 2) return null;
+
+    // Hann-windowed block to tame the edges
+    const block = new Float64Array(length);
+    for (let i = 0; i < length; i++) {
+      block[i] = samples[start + i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * (i + 0.5) / length));
+    }
+
+    const r = new Float64Array(order + 1);
+    for (let lag = 0; lag <= order; lag++) {
+      let sum = 0;
+      for (let i = lag; i < length; i++) sum += block[i] * block[i - lag];
+      r[lag] = sum;
+    }
+    if (!(r[0] > 0)) return null;
+    r[0] *= 1 + 1e-9; // Slight regularization for nearly deterministic signals
+
+    const a = new Float64Array(order + 1);
+    const previous = new Float64Array(order + 1);
+    let error = r[0];
+    for (let m = 1; m <= order; m++) {
+      let sum = r[m];
+      for (let k = 1; k < m; k++) sum -= a[k] * r[m - k];
+      const reflection = sum / error;
+
+      previous.set(a);
+      a[m] = reflection;
+      for (let k = 1; k < m; k++) a[k] = previous[k] - reflection * previous[m - k];
+
+      error *= 1 - reflection * reflection;
+      if (!(error > 0)) break;
+    }
+
+    return a;
+  }
+
+  predictionError(samples, index, coefficients) {
+    let prediction = 0;
+    for (let k = 1; k < coefficients.length; k++) {
+      prediction += coefficients[k] * samples[index - k];
+    }
+    return samples[index] - prediction;
+  }
+
+  /**
+   * Replace samples [start, end) with the values that minimize the AR
+   * prediction error over the gap and the `order` samples after it
+   * (least-squares AR interpolation)
+   * @returns {boolean} Whether the gap was repaired
+   */
+  interpolate(samples, start, end, coefficients) {
+    const order = coefficients.length - 1;
+    const gap = end - start;
+
+    // Prediction-error filter c = [1, -a1, ..., -ap]
+    const c = new Float64Array(order + 1);
+    c[0] = 1;
+    for (let k = 1; k <= order; k++) c[k] = -coefficients[k];
+
+    // Prediction errors with the gap zeroed; the unknowns must cancel them
+    const saved = samples.slice(start, end);
+    samples.fill(0, start, end);
+    const rows = gap + order;
+    const residual = new Float64Array(rows);
+    for (let t = 0; t < rows; t++) {
+      const index = start + t;
+      let sum = 0;
+      for (let k = 0; k <= order; k++) sum += c[k] * samples[index - k];
+      residual[t] = sum;
+    }
+
+    // Normal equations M x = -A^T r, with M Toeplitz from the autocorrelation of c
+    const autocorrelation = new Float64Array(order + 1);
+    for (let lag = 0; lag <= order; lag++) {
+      for (let k = lag; k <= order; k++) autocorrelation[lag] += c[k] * c[k - lag];
+    }
+
+    const matrix = new Float64Array(gap * gap);
+    const rhs = new Float64Array(gap);
+    for (let i = 0; i < gap; i++) {
+      for (let j = 0; j < gap; j++) {
+        const lag = Math.abs(i - j);
+        matrix[i * gap + j] = lag <= order ? autocorrelation[lag] : 0;
+      }
+      let sum = 0;
+      for (let k = 0; k <= order; k++) sum += c[k] * residual[i + k];
+      rhs[i] = -sum;
+    }
+
+    const solution = this.solveSymmetric(matrix, rhs, gap);
+    if (!solution) {
+      samples.set(saved, start);
+      return false;
+    }
+
+    samples.set(solution, start);
+    return true;
+  }
+
+  /**
+   * Solve a symmetric positive definite system by Cholesky decomposition
+   * @returns {Float64Array|null} Solution, or null if the matrix is not positive definite
+   */
+  solveSymmetric(matrix, rhs, size) {
+    const lower = new Float64Array(size * size);
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j <= i; j++) {
+        let sum = matrix[i * size + j];
+        for (let k = 0; k < j; k++) sum -= lower[i * size + k] * lower[j * size + k];
+        if (i === j) {
+          if (!(sum > 0)) return null;
+          lower[i * size + i] = Math.sqrt(sum);
+        } else {
+          lower[i * size + j] = sum / lower[j * size + j];
+        }
+      }
+    }
+
+    const y = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      let sum = rhs[i];
+      for (let k = 0; k < i; k++) sum -= lower[i * size + k] * y[k];
+      y[i] = sum / lower[i * size + i];
+    }
+
+    const x = new Float64Array(size);
+    for (let i = size - 1; i >= 0; i--) {
+      let sum = y[i];
+      for (let k = i + 1; k < size; k++) sum -= lower[k * size + i] * x[k];
+      x[i] = sum / lower[i * size + i];
+    }
+    return x;
+  }
+
+  median(values) {
+    const sorted = Float64Array.from(values).sort();
+    return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+  }
+}
+
+module.exports = { Declicker };
@@ -0,0 +1,136 @@
+/**
+ * Declipper finds runs of samples flattened against a clip level and rebuilds
+ * the missing peaks from the slope of the signal on either side of each run
+ */
+class Declipper {
+  constructor(options = {}) {
+    this.options = {
+      tolerance: 0.001, // Samples within this fraction of the clip level count as clipped
+      minRunLength: 3, // Shorter runs are ordinary peaks, not flat tops
+      minSpikeRatio: 4, // Samples at the clip level over those just below it; clipping stacks them up
+      slopeSamples: 3, // Unclipped samples on each side used to estimate the slope into a run
+      ...options
+    };
+  }
+
+  /**
+   * Find clipped runs in one channel. The positive and negative clip levels
+   * are taken from the channel's extremes and only accepted when samples pile
+   * up there, which a smooth waveform cresting at its peak does not do.
+   * @param {Float32Array} samples - Channel samples
+   * @returns {Object} { runs, clippedSamples, levels } with runs as
+   *   { start, end, level } (end exclusive)
+   */
+  detect(samples) {
+    const { tolerance, minRunLength } = this.options;
+    let max = 0;
+    let min = 0;
+    for (let i = 0; i < samples.length; i++) {
+      if (samples[i] > max) max = samples[i];
+      if (samples[i] < min) min = samples[i];
+    }
+
+    const levels = {
+      positive: this.isClipLevel(samples, max) ? max : null,
+      negative: this.isClipLevel(samples, min) ? min : null
+    };
+
+    const runs = [];
+    let clippedSamples = 0;
+    let start = -1;
+    let level = 0;
+
+    for (let i = 0; i <= samples.length; i++) {
+      let current = 0;
+      if (i < samples.length) {
+        if (levels.positive !== null && samples[i] >= levels.positive * (1 - tolerance)) {
+          current = levels.positive;
+        } else if (levels.negative !== null && samples[i] <= levels.negative * (1 - tolerance)) {
+          current = levels.negative;
+        }
+      }
+
+      if (start >= 0 && current !== level) {
+        if (i - start >= minRunLength) {
+          runs.push({ start, end: i, level });
+          clippedSamples += i - start;
+        }
+        start = -1;
+      }
+      if (start < 0 && current !== 0) {
+        start = i;
+        level = current;
+      }
+    }
+
+    return { runs, clippedSamples, levels };
+  }
+
+  /**
+   * Whether samples stack up at an extreme the way a clipper leaves them
+   */
+  isClipLevel(samples, level) {
+    if (level === 0) return false;
+
+    const { tolerance, minSpikeRatio } = this.options;
+    const magnitude = Math.abs(level);
+    let atLevel = 0;
+    let belowLevel = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+      // Only look at samples on the same side as the level
+      const value = level > 0 ? samples[i] : -samples[i];
+      if (value >= magnitude * (1 - tolerance)) {
+        atLevel++;
+      } else if (value >= magnitude * (1 - 2 * tolerance)) {
+        belowLevel++;
+      }
+    }
+
+    return atLevel >= this.options.minRunLength && atLevel >= minSpikeRatio * Math.max(1, belowLevel);
+  }
+
+  /**
+   * Rebuild clipped runs in place with a cubic Hermite curve matching the
+   * value and slope of the signal where each run begins and ends. The curve
+   * is kept at or beyond the clip level, since the true signal was too.
+   * Runs touching either end of the channel have no slope on one side and
+   * are left as they are.
+   * @param {Float32Array} samples - Channel samples, modified in place
+   * @param {Array<Object>} runs - Runs from detect()
+   * @returns {number} Number of runs reconstructed
+   */
+  reconstruct(samples, runs) {
+    const context = this.options.slopeSamples;
+    let repaired = 0;
+
+    for (const { start, end, level } of runs) {
+      const before = start - 1;
+      const after = end;
+      if (before - context < 0 || after + context >= samples.length) continue;
+
+      // Average slope over the unclipped context on each side, per sample
+      const slopeIn = (samples[before] - samples[before - context]) / context;
+      const slopeOut = (samples[after + context] - samples[after]) / context;
+      const span = after - before;
+      const p0 = samples[before];
+      const p1 = samples[after];
+
+      for (let i = start; i < end; i++) {
+        const t = (i - before) / span;
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const value = (2 * t3 - 3 * t2 + 1) * p0
+          + (t3 - 2 * t2 + t) * span * slopeIn
+          + (-2 * t3 + 3 * t2) * p1
+          + (t3 - t2) * span * slopeOut;
+        samples[i] = level > 0 ? Math.max(level, value) : Math.min(level, value);
+      }
+      repaired++;
+    }
+
+    return repaired;
+  }
+}
+
+module.exports = { Declipper };
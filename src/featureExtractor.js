@@ -0,0 +1,299 @@
+const { Spectrogram } = require('./spectrogram');
+
+/**
+ * FeatureExtractor computes mel filterbank energies, log-mel spectrograms,
+ * MFCCs with deltas and per-file summary statistics on top of Spectrogram
+ */
+class FeatureExtractor {
+  constructor(options = {}) {
+    this.options = {
+      fftSize: 2048,
+      hopSize: 512,
+      window: 'hann',
+      numMelBands: 40,
+      numMfcc: 20,
+      minFrequency: 0,
+      maxFrequency: null, // Defaults to Nyquist
+      deltaWidth: 2,
+      ...options
+    };
+
+    this.spectrogram = new Spectrogram({
+      fftSize: this.options.fftSize,
+      hopSize: this.options.hopSize,
+      window: this.options.window
+    });
+
+    this.filterbankCache = new Map();
+    this.dctMatrix = null;
+  }
+
+  hzToMel(frequency) {
+    return 2595 * Math.log10(1 + frequency / 700);
+  }
+
+  melToHz(mel) {
+    return 700 * (Math.pow(10, mel / 2595) - 1);
+  }
+
+  /**
+   * Build (and cache) triangular mel filters for a sample rate
+   * @param {number} sampleRate - Sample rate of the analysed audio
+   * @returns {Array<Object>} Filters as { start, weights } over FFT bins
+   */
+  melFilterbank(sampleRate) {
+    if (this.filterbankCache.has(sampleRate)) {
+      return this.filterbankCache.get(sampleRate);
+    }
+
+    const { fftSize, numMelBands, minFrequency } = this.options;
+    const maxFrequency = Math.min(this.options.maxFrequency || sampleRate / 2, sampleRate / 2);
+    const freqBins = fftSize / 2 + 1;
+    const binWidth = sampleRate / fftSize;
+
+    // Band edges equally spaced on the mel scale
+    const minMel = this.hzToMel(minFrequency);
+    const maxMel = this.hzToMel(maxFrequency);
+    const edges = [];
+    for (let i = 0; i < numMelBands + 2; i++) {
+      edges.push(this.melToHz(minMel + (maxMel - minMel) * i / (numMelBands + 1)));
+    }
+
+    const filters = [];
+    for (let band = 0; band < numMelBands; band++) {
+      const lower = edges[band];
+      const center = edges[band + 1];
+      const upper = edges[band + 2];
+
+      const start = Math.max(0, Math.floor(lower / binWidth));
+      const end = Math.min(freqBins - 1, Math.ceil(upper / binWidth));
+      const weights = new Float32Array(end - start + 1);
+
+      // Slaney-style area normalization keeps band energies comparable
+      const norm = 2 / (upper - lower);
+      for (let bin = start; bin <= end; bin++) {
+        const frequency = bin * binWidth;
+        let weight = 0;
+        if (frequency > lower && frequency <= center) {
+          weight = (frequency - lower) / (center - lower);
+        } else if (frequency > center && frequency < upper) {
+          weight = (upper - frequency) / (upper - center);
+        }
+        weights[bin - start] = weight * norm;
+      }
+
+      filters.push({ start, weights });
+    }
+
+    this.filterbankCache.set(sampleRate, filters);
+    return filters;
+  }
+
+  /**
+   * Mel filterbank energies (power) per frame
+   * @param {Float32Array} samples - Mono time domain samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} { data, timeFrames, numBands } with data laid out frame-major
+   */
+  melSpectrogram(samples, sampleRate) {
+    const spec = this.spectrogram.fromTimeDomain(samples);
+    const filters = this.melFilterbank(sampleRate);
+    const numBands = filters.length;
+    const data = new Float32Array(spec.timeFrames * numBands);
+
+    for (let frame = 0; frame < spec.timeFrames; frame++) {
+      const offset = frame * spec.freqBins;
+      for (let band = 0; band < numBands; band++) {
+        const { start, weights } = filters[band];
+        let energy = 0;
+        for (let i = 0; i < weights.length; i++) {
+          const mag = spec.magnitude[offset + start + i];
+          energy += weights[i] * mag * mag;
+        }
+        data[frame * numBands + band] = energy;
+      }
+    }
+
+    return {
+      data,
+      timeFrames: spec.timeFrames,
+      numBands,
+      hopSize: this.options.hopSize,
+      sampleRate
+    };
+  }
+
+  /**
+   * Log-mel spectrogram in dB
+   * @param {Float32Array} samples - Mono time domain samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @param {number} topDb - Dynamic range kept below the loudest value
+   */
+  logMelSpectrogram(samples, sampleRate, topDb = 80) {
+    const mel = this.melSpectrogram(samples, sampleRate);
+    const data = new Float32Array(mel.data.length);
+
+    let max = -Infinity;
+    for (let i = 0; i < data.length; i++) {
+      data[i] = 10 * Math.log10(Math.max(mel.data[i], 1e-10));
+      if (data[i] > max) max = data[i];
+    }
+
+    const floor = max - topDb;
+    for (let i = 0; i < data.length; i++) {
+      if (data[i] < floor) data[i] = floor;
+    }
+
+    return { ...mel, data };
+  }
+
+  getDctMatrix() {
+    // Orthonormal DCT-II from mel bands to cepstral coefficients
+    if (!this.dctMatrix) {
+      const { numMelBands, numMfcc } = this.options;
+      this.dctMatrix = new Float32Array(numMfcc * numMelBands);
+      for (let k = 0; k < numMfcc; k++) {
+        const scale = k === 0 ? Math.sqrt(1 / numMelBands) : Math.sqrt(2 / numMelBands);
+        for (let n = 0; n < numMelBands; n++) {
+          this.dctMatrix[k * numMelBands + n] = scale * Math.cos(Math.PI * k * (n + 0.5) / numMelBands);
+        }
+      }
+    }
+    return this.dctMatrix;
+  }
+
+  /**
+   * MFCCs with first and second order deltas
+   * @param {Float32Array} samples - Mono time domain samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} { mfcc, delta, deltaDelta, timeFrames, numCoefficients }
+   */
+  mfcc(samples, sampleRate) {
+    const logMel = this.logMelSpectrogram(samples, sampleRate);
+    const { numMfcc } = this.options;
+    const numBands = logMel.numBands;
+    const dct = this.getDctMatrix();
+    const mfcc = new Float32Array(logMel.timeFrames * numMfcc);
+
+    for (let frame = 0; frame < logMel.timeFrames; frame++) {
+      for (let k = 0; k < numMfcc; k++) {
+        let sum = 0;
+        for (let n = 0; n < numBands; n++) {
+          sum += dct[k * numBands + n] * logMel.data[frame * numBands + n];
+        }
+        mfcc[frame * numMfcc + k] = sum;
+      }
+    }
+
+    const delta = this.computeDeltas(mfcc, logMel.timeFrames, numMfcc);
+    const deltaDelta = this.computeDeltas(delta, logMel.timeFrames, numMfcc);
+
+    return {
+      mfcc,
+      delta,
+      deltaDelta,
+      timeFrames: logMel.timeFrames,
+      numCoefficients: numMfcc
+    };
+  }
+
+  /**
+   * Regression deltas over neighbouring frames, repeating edge frames
+   * @param {Float32Array} features - Frame-major feature matrix
+   * @param {number} timeFrames - Number of frames
+   * @param {number} width - Number of coefficients per frame
+   */
+  computeDeltas(features, timeFrames, width) {
+    const N = this.options.deltaWidth;
+    const deltas = new Float32Array(features.length);
+
+    let denominator = 0;
+    for (let n = 1; n <= N; n++) {
+      denominator += 2 * n * n;
+    }
+
+    for (let frame = 0; frame < timeFrames; frame++) {
+      for (let k = 0; k < width; k++) {
+        let sum = 0;
+        for (let n = 1; n <= N; n++) {
+          const next = Math.min(timeFrames - 1, frame + n);
+          const prev = Math.max(0, frame - n);
+          sum += n * (features[next * width + k] - features[prev * width + k]);
+        }
+        deltas[frame * width + k] = sum / denominator;
+      }
+    }
+
+    return deltas;
+  }
+
+  /**
+   * Per-coefficient mean and standard deviation over all frames
+   * @param {Float32Array} features - Frame-major feature matrix
+   * @param {number} timeFrames - Number of frames
+   * @param {number} width - Number of coefficients per frame
+   */
+  meanAndStd(features, timeFrames, width) {
+    const mean = new Float32Array(width);
+    const std = new Float32Array(width);
+    if (timeFrames === 0) return { mean, std };
+
+    for (let frame = 0; frame < timeFrames; frame++) {
+      for (let k = 0; k < width; k++) {
+        mean[k] += features[frame * width + k];
+      }
+    }
+    for (let k = 0; k < width; k++) mean[k] /= timeFrames;
+
+    for (let frame = 0; frame < timeFrames; frame++) {
+      for (let k = 0; k < width; k++) {
+        const diff = features[frame * width + k] - mean[k];
+        std[k] += diff * diff;
+      }
+    }
+    for (let k = 0; k < width; k++) std[k] = Math.sqrt(std[k] / timeFrames);
+
+    return { mean, std };
+  }
+
+  /**
+   * Summary statistics for a whole file
+   * @param {Float32Array} samples - Mono time domain samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} Means and standard deviations of MFCCs and their deltas
+   */
+  summarize(samples, sampleRate) {
+    const { mfcc, delta, deltaDelta, timeFrames, numCoefficients } = this.mfcc(samples, sampleRate);
+    const mfccStats = this.meanAndStd(mfcc, timeFrames, numCoefficients);
+    const deltaStats = this.meanAndStd(delta, timeFrames, numCoefficients);
+    const deltaDeltaStats = this.meanAndStd(deltaDelta, timeFrames, numCoefficients);
+
+    return {
+      timeFrames,
+      numCoefficients,
+      mfccMean: mfccStats.mean,
+      mfccStd: mfccStats.std,
+      deltaMean: deltaStats.mean,
+      deltaStd: deltaStats.std,
+      deltaDeltaMean: deltaDeltaStats.mean,
+      deltaDeltaStd: deltaDeltaStats.std
+    };
+  }
+
+  /**
+   * Fixed-length feature vector for the content classifier:
+   * MFCC means followed by MFCC standard deviations
+   * @param {Float32Array} samples - Mono time domain samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Float32Array} Vector of length 2 * numMfcc (40 by default)
+   */
+  featureVector(samples, sampleRate) {
+    const summary = this.summarize(samples, sampleRate);
+    const vector = new Float32Array(summary.numCoefficients * 2);
+    vector.set(summary.mfccMean, 0);
+    vector.set(summary.mfccStd, summary.numCoefficients);
+    return vector;
+  }
+}
+
+module.exports = { FeatureExtractor };
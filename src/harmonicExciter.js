@@ -0,0 +1,125 @@
+const { Crossover } = require('./crossover');
+const { Resampler } = require('./resampler');
+
+/**
+ * HarmonicExciter synthesizes the band above a source's cutoff from the octave
+ * just below it. That octave is oversampled and passed through a nonlinearity
+ * whose output scales with the input level (a full-wave rectifier for even
+ * harmonics, envelope-normalized soft clipping for odd ones); only what lands
+ * above the cutoff is mixed back in, at a level set relative to the octave it
+ * grew from.
+ */
+class HarmonicExciter {
+  constructor(options = {}) {
+    this.options = {
+      amount: 0.5, // 0 (nothing added) to 1 (added band at levelDb)
+      levelDb: -6, // Level of the new band relative to the source octave, at full amount
+      evenMix: 0.6, // Share of even (rectifier) harmonics; the rest are odd
+      drive: 2, // Soft-clipping drive for the odd harmonics
+      envelopeRelease: 0.01, // Seconds for the odd-harmonic envelope to decay
+      minCutoff: 2000, // Hz; below this the source octave is fundamentals, not overtones
+      maxCutoffRatio: 0.9, // Cutoffs above this fraction of Nyquist leave no room to fill
+      ...options
+    };
+
+    const { amount } = this.options;
+    if (!(amount >= 0 && amount <= 1)) {
+      throw new Error(`Harmonic exciter amount must be between 0 and 1, got ${amount}`);
+    }
+
+    this.crossover = new Crossover();
+    this.resampler = new Resampler();
+  }
+
+  /**
+   * Add harmonics above the cutoff to every channel, in place
+   * @param {Array<Float32Array>} channels - Per-channel samples, modified in place
+   * @param {number} sampleRate - Sample rate of the samples
+   * @param {number} cutoffFrequency - Upper edge of the source's content in Hz
+   * @returns {Object|null} { cutoffFrequency, amount, harmonicsDb } with
+   *   harmonicsDb the level of the added band relative to the source octave,
+   *   or null when there is no room above the cutoff or nothing to excite
+   *   (including no channels or no samples)
+   */
+  process(channels, sampleRate, cutoffFrequency) {
+    const { amount, minCutoff, maxCutoffRatio } = this.options;
+    if (channels.length === 0 || channels[0].length === 0) {
+      return null;
+    }
+    if (amount === 0 || !(cutoffFrequency >= minCutoff) || cutoffFrequency > maxCutoffRatio * sampleRate / 2) {
+      return null;
+    }
+
+    const below = this.crossover.design(sampleRate, cutoffFrequency);
+    const octaveBelow = this.crossover.design(sampleRate, cutoffFrequency / 2);
+    const generated = [];
+    let sourceEnergy = 0;
+    let generatedEnergy = 0;
+
+    for (const samples of channels) {
+      // The octave just below the cutoff
+      const low = this.crossover.lowpass(samples, below);
+      const lower = this.crossover.lowpass(samples, octaveBelow);
+      const octave = new Float32Array(samples.length);
+      for (let i = 0; i < samples.length; i++) {
+        octave[i] = low[i] - lower[i];
+        sourceEnergy += octave[i] * octave[i];
+      }
+
+      // Keep only what the nonlinearity put above the cutoff
+      const harmonics = this.generate(octave, sampleRate);
+      const remainder = this.crossover.lowpass(harmonics, below);
+      for (let i = 0; i < harmonics.length; i++) {
+        harmonics[i] -= remainder[i];
+        generatedEnergy += harmonics[i] * harmonics[i];
+      }
+      generated.push(harmonics);
+    }
+
+    if (!(sourceEnergy > 0) || !(generatedEnergy > 0)) {
+      return null;
+    }
+
+    // One gain for all channels keeps the stereo image of the new band
+    const harmonicsDb = this.options.levelDb + 20 * Math.log10(amount);
+    const gain = Math.pow(10, harmonicsDb / 20) * Math.sqrt(sourceEnergy / generatedEnergy);
+    channels.forEach((samples, channel) => {
+      const harmonics = generated[channel];
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] += gain * harmonics[i];
+      }
+    });
+
+    return { cutoffFrequency, amount, harmonicsDb };
+  }
+
+  /**
+   * Run the nonlinearity oversampled, so harmonics above Nyquist are filtered
+   * out on the way back down instead of aliasing into the band
+   * @param {Float32Array} octave - Band-limited source octave
+   * @param {number} sampleRate - Sample rate of the octave
+   * @returns {Float32Array} Distorted octave at the original rate and length
+   */
+  generate(octave, sampleRate) {
+    const factor = sampleRate < 96000 ? 4 : 2;
+    const upRate = sampleRate * factor;
+    const upsampled = this.resampler.resample(octave, sampleRate, upRate);
+
+    // Peak envelope with instant attack, so x / envelope stays within [-1, 1]
+    const { evenMix, drive } = this.options;
+    const release = Math.exp(-1 / (this.options.envelopeRelease * upRate));
+    const normalize = Math.tanh(drive);
+    let envelope = 0;
+    for (let i = 0; i < upsampled.length; i++) {
+      const x = upsampled[i];
+      const level = Math.abs(x);
+      envelope = Math.max(level, release * envelope);
+      const odd = envelope > 1e-9 ? envelope * Math.tanh(drive * x / envelope) / normalize : 0;
+      upsampled[i] = evenMix * level + (1 - evenMix) * odd;
+    }
+
+    return this.resampler.resample(upsampled, upRate, sampleRate).subarray(0, octave.length);
+  }
+}
+
+module.exports = { HarmonicExciter };
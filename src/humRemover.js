@@ -0,0 +1,280 @@
+const FFT = require('fft.js');
+
+// Mains frequencies checked for hum
+const MAINS_FREQUENCIES = [50, 60];
+
+/**
+ * HumRemover finds DC offset and mains hum in a recording and removes them,
+ * with a comb of narrow notches on the hum harmonics that are actually present
+ * and a high-pass below the audio band for rumble. Filters run forwards and
+ * backwards so nothing is shifted in time.
+ */
+class HumRemover {
+  constructor(options = {}) {
+    this.options = {
+      harmonics: 8, // Hum harmonics checked and notched, fundamental included
+      thresholdDb: 18, // Prominence over the neighbouring spectrum that counts as hum
+      minHarmonics: 2, // Harmonics that must stand out before hum is reported
+      minStationarity: 0.75, // Share of analysis frames the fundamental must stand out in
+      minDcOffset: 0.001, // Offsets below this (-60 dBFS) are left alone
+      notchBandwidth: 2, // Hz, width of each notch
+      highpassFrequency: 20, // Hz, rumble cutoff; 0 disables the high-pass
+      resolution: 0.5, // Hz, frequency resolution of the hum analysis
+      maxFrames: 64, // Analysis frames averaged, spread across the recording
+      ...options
+    };
+  }
+
+  /**
+   * Measure DC offset and hum
+   * @param {Array<Float32Array>} channels - Per-channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} { dcOffset, dcDetected, humFrequency, harmonics } with
+   *   dcOffset per channel, dcDetected true when any channel's offset reaches
+   *   minDcOffset, humFrequency null when no hum was found, and harmonics as
+   *   { frequency, prominenceDb }
+   */
+  detect(channels, sampleRate) {
+    const dcOffset = channels.map(samples => {
+      let sum = 0;
+      for (let i = 0; i < samples.length; i++) sum += samples[i];
+      return samples.length > 0 ? sum / samples.length : 0;
+    });
+
+    const { spectrum, frames } = this.longTermSpectrum(channels, dcOffset, sampleRate);
+    const binWidth = sampleRate / ((spectrum.length - 1) * 2);
+
+    let best = { humFrequency: null, harmonics: [], score: 0 };
+    for (const mains of MAINS_FREQUENCIES) {
+      const candidate = this.matchHarmonics(spectrum, binWidth, mains, sampleRate);
+      // A lone peak could be a bass note; hum shows up on several harmonics.
+      // A note an octave or more up lines up with the higher harmonics too, so
+      // the fundamental itself has to be there, and hold steady all the way through
+      if (candidate.harmonics.length < this.options.minHarmonics || candidate.fundamentalBin === null) continue;
+      if (this.stationarity(frames, candidate.fundamentalBin, binWidth) < this.options.minStationarity) continue;
+      if (candidate.score > best.score) {
+        best = candidate;
+      }
+    }
+
+    const dcDetected = dcOffset.some(offset => Math.abs(offset) >= this.options.minDcOffset);
+
+    return { dcOffset, dcDetected, humFrequency: best.humFrequency, harmonics: best.harmonics };
+  }
+
+  /**
+   * Average Hann-windowed power spectrum of all channels, DC removed
+   * @returns {Object} { spectrum, frames } with spectrum the power per bin and
+   *   frames the power of each analysis frame up to just above the highest
+   *   mains fundamental, for the stationarity check
+   */
+  longTermSpectrum(channels, dcOffset, sampleRate) {
+    let fftSize = 2;
+    while (fftSize < sampleRate / this.options.resolution) fftSize *= 2;
+
+    const fft = new FFT(fftSize);
+    const frame = new Float64Array(fftSize);
+    const output = fft.createComplexArray();
+    const power = new Float64Array(fftSize / 2 + 1);
+    const frameBins = Math.min(power.length, Math.ceil((Math.max(...MAINS_FREQUENCIES) + 20) * fftSize / sampleRate));
+    const length = channels[0].length;
+
+    const window = new Float64Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / fftSize);
+    }
+
+    // Frames spread evenly over the recording; short recordings are zero-padded
+    const numFrames = Math.max(1, Math.min(this.options.maxFrames, Math.floor(length / fftSize)));
+    const step = numFrames > 1 ? (length - fftSize) / (numFrames - 1) : 0;
+
+    const frames = [];
+    for (let f = 0; f < numFrames; f++) {
+      const start = Math.round(f * step);
+      const framePower = new Float64Array(frameBins);
+      channels.forEach((samples, channel) => {
+        for (let i = 0; i < fftSize; i++) {
+          const index = start + i;
+          frame[i] = index < length ? (samples[index] - dcOffset[channel]) * window[i] : 0;
+        }
+        fft.realTransform(output, frame);
+        for (let bin = 0; bin < power.length; bin++) {
+          const value = output[2 * bin] * output[2 * bin] + output[2 * bin + 1] * output[2 * bin + 1];
+          power[bin] += value;
+          if (bin < frameBins) framePower[bin] += value;
+        }
+      });
+      frames.push(framePower);
+    }
+
+    return { spectrum: power, frames };
+  }
+
+  /**
+   * Strongest bin within searchRadius of centre and how far it stands above
+   * the median of the bins further out, up to backgroundRadius
+   * @returns {Object|null} { peakBin, prominenceDb }, or null over silence
+   */
+  prominence(spectrum, centre, searchRadius, backgroundRadius) {
+    let peakBin = -1;
+    for (let bin = Math.round(centre - searchRadius); bin <= Math.round(centre + searchRadius); bin++) {
+      if (peakBin < 0 || spectrum[bin] > spectrum[peakBin]) peakBin = bin;
+    }
+
+    const background = [];
+    for (let bin = Math.round(centre - backgroundRadius); bin <= Math.round(centre + backgroundRadius); bin++) {
+      if (bin > 0 && bin < spectrum.length && Math.abs(bin - centre) > searchRadius + 1) {
+        background.push(spectrum[bin]);
+      }
+    }
+    background.sort((a, b) => a - b);
+    const floor = background[Math.floor(background.length / 2)];
+    if (!(floor > 0) || !(spectrum[peakBin] > 0)) return null;
+
+    return { peakBin, prominenceDb: 10 * Math.log10(spectrum[peakBin] / floor) };
+  }
+
+  /**
+   * Share of the non-silent analysis frames in which the fundamental stands
+   * out. Hum runs for the whole recording; notes come and go.
+   * @returns {number} 0 to 1
+   */
+  stationarity(frames, fundamentalBin, binWidth) {
+    const backgroundRadius = Math.ceil(15 / binWidth);
+    let counted = 0;
+    let steady = 0;
+    for (const frame of frames) {
+      // Single frames are noisier than the average, so the bar is lower
+      const peak = this.prominence(frame, fundamentalBin, 1, backgroundRadius);
+      if (!peak) continue;
+      counted++;
+      if (peak.prominenceDb >= this.options.thresholdDb / 2) steady++;
+    }
+    return counted > 0 ? steady / counted : 0;
+  }
+
+  /**
+   * Look for peaks at the harmonics of one mains frequency
+   * @returns {Object} { humFrequency, harmonics, score, fundamentalBin } with
+   *   fundamentalBin null when the fundamental itself does not stand out
+   */
+  matchHarmonics(spectrum, binWidth, mains, sampleRate) {
+    const { thresholdDb } = this.options;
+    const found = [];
+
+    for (let k = 1; k <= this.options.harmonics && k * mains < sampleRate / 2 - 20; k++) {
+      // Mains drifts by up to about half a hertz, and harmonics drift k times as far
+      const centre = k * mains / binWidth;
+      const searchRadius = Math.ceil((0.5 * k) / binWidth) + 1;
+      const backgroundRadius = Math.ceil(15 / binWidth);
+
+      const peak = this.prominence(spectrum, centre, searchRadius, backgroundRadius);
+      if (!peak || peak.prominenceDb < thresholdDb) continue;
+      const { peakBin, prominenceDb } = peak;
+
+      // Parabolic interpolation between bins for the peak frequency
+      const left = Math.log(spectrum[peakBin - 1] || 1e-30);
+      const middle = Math.log(spectrum[peakBin]);
+      const right = Math.log(spectrum[peakBin + 1] || 1e-30);
+      const curvature = left - 2 * middle + right;
+      const offset = curvature < 0 ? 0.5 * (left - right) / curvature : 0;
+
+      found.push({ k, peakBin, frequency: (peakBin + offset) * binWidth, prominenceDb });
+    }
+
+    if (found.length === 0) {
+      return { humFrequency: null, harmonics: [], score: 0, fundamentalBin: null };
+    }
+
+    // The most prominent harmonic pins down the actual mains frequency
+    const strongest = found.reduce((a, b) => (b.prominenceDb > a.prominenceDb ? b : a));
+    const humFrequency = strongest.frequency / strongest.k;
+
+    return {
+      humFrequency,
+      harmonics: found.map(({ k, prominenceDb }) => ({ frequency: k * humFrequency, prominenceDb })),
+      score: found.reduce((sum, { prominenceDb }) => sum + prominenceDb, 0),
+      fundamentalBin: found[0].k === 1 ? found[0].peakBin : null
+    };
+  }
+
+  /**
+   * Remove the DC offset, notch the detected hum harmonics and high-pass one channel
+   * @param {Float32Array} samples - Channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @param {number} dcOffset - Offset from detect()
+   * @param {Array<Object>} harmonics - Harmonics from detect()
+   * @returns {Float32Array} Filtered samples
+   */
+  remove(samples, sampleRate, dcOffset, harmonics) {
+    const output = new Float64Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      output[i] = samples[i] - dcOffset;
+    }
+
+    for (const { frequency } of harmonics) {
+      this.filtfilt(output, this.notch(frequency, sampleRate));
+    }
+
+    if (this.options.highpassFrequency > 0) {
+      this.filtfilt(output, this.highpass(this.options.highpassFrequency, sampleRate));
+    }
+
+    return Float32Array.from(output);
+  }
+
+  /**
+   * Biquad notch (RBJ cookbook) with the configured bandwidth
+   */
+  notch(frequency, sampleRate) {
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const q = frequency / this.options.notchBandwidth;
+    const alpha = Math.sin(w0) / (2 * q);
+    const cos = Math.cos(w0);
+    return this.normalizeCoefficients([1, -2 * cos, 1], [1 + alpha, -2 * cos, 1 - alpha]);
+  }
+
+  /**
+   * Second-order Butterworth high-pass (RBJ cookbook)
+   */
+  highpass(frequency, sampleRate) {
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const alpha = Math.sin(w0) / Math.SQRT2;
+    const cos = Math.cos(w0);
+    return this.normalizeCoefficients(
+      [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2],
+      [1 + alpha, -2 * cos, 1 - alpha]
+    );
+  }
+
+  normalizeCoefficients(b, a) {
+    return { b: b.map(value => value / a[0]), a: [1, a[1] / a[0], a[2] / a[0]] };
+  }
+
+  /**
+   * Run a biquad forwards then backwards, in place, for zero phase shift
+   */
+  filtfilt(samples, coefficients) {
+    this.biquad(samples, coefficients);
+    samples.reverse();
+    this.biquad(samples, coefficients);
+    samples.reverse();
+  }
+
+  /**
+   * Direct form II transposed biquad, in place
+   */
+  biquad(samples, { b, a }) {
+    let z1 = 0;
+    let z2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const x = samples[i];
+      const y = b[0] * x + z1;
+      z1 = b[1] * x - a[1] * y + z2;
+      z2 = b[2] * x - a[2] * y;
+      samples[i] = y;
+    }
+  }
+}
+
+module.exports = { HumRemover };
@@ -0,0 +1,293 @@
+const { Resampler } = require('./resampler');
+
+// BS.1770 block lengths in seconds
+const MOMENTARY_WINDOW = 0.4;
+const SHORT_TERM_WINDOW = 3;
+const BLOCK_STEP = 0.1;
+
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the ungated-block mean, for integrated loudness
+const RANGE_RELATIVE_GATE = -20; // LU below, for loudness range
+
+/**
+ * LoudnessMeter measures decoded samples in one pass: EBU R128 / ITU-R
+ * BS.1770 integrated, short-term and momentary loudness, loudness range,
+ * oversampled true peak, sample peak, RMS and the noise floor of the
+ * quietest passages
+ */
+class LoudnessMeter {
+  constructor(options = {}) {
+    this.options = {
+      truePeakTaps: 12, // Interpolation taps per oversampled phase
+      quietFraction: 0.1, // Share of quietest 100 ms blocks averaged into the noise floor
+      silenceDb: -120, // Blocks below this are digital silence, not noise
+      ...options
+    };
+
+    // Windowed-sinc kernels for the true-peak interpolation
+    this.resampler = new Resampler();
+    this.truePeakBanks = new Map();
+  }
+
+  /**
+   * Measure per-channel samples
+   * @param {Array<Float32Array>} channels - Per-channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} { integratedLufs, shortTermMaxLufs, momentaryMaxLufs,
+   *   loudnessRangeLu, truePeakDb, samplePeakDb, rmsDb, noiseFloorDb,
+   *   dynamicRangeDb }; levels without any signal are -Infinity
+   */
+  measure(channels, sampleRate) {
+    if (!channels || channels.length === 0 || !(sampleRate > 0)) {
+      throw new Error('Cannot measure loudness: no audio');
+    }
+
+    const length = channels[0].length;
+    const blockSize = Math.round(BLOCK_STEP * sampleRate);
+    const numBlocks = Math.ceil(length / blockSize);
+    const weights = this.channelWeights(channels.length);
+
+    // Per 100 ms block: channel-weighted K-filtered power and plain power
+    const weightedPower = new Float64Array(numBlocks);
+    const plainPower = new Float64Array(numBlocks);
+    let samplePeak = 0;
+    let truePeak = 0;
+    let sumSquares = 0;
+
+    channels.forEach((samples, channel) => {
+      const kWeight = this.createKWeighting(sampleRate);
+      for (let block = 0; block < numBlocks; block++) {
+        const start = block * blockSize;
+        const end = Math.min(length, start + blockSize);
+        let weighted = 0;
+        let plain = 0;
+        for (let i = start; i < end; i++) {
+          const filtered = kWeight(samples[i]);
+          weighted += filtered * filtered;
+          plain += samples[i] * samples[i];
+          const value = Math.abs(samples[i]);
+          if (value > samplePeak) samplePeak = value;
+        }
+        weightedPower[block] += weights[channel] * weighted / blockSize;
+        plainPower[block] += plain / blockSize / channels.length;
+        sumSquares += plain;
+      }
+
+      truePeak = Math.max(truePeak, this.truePeak(samples, sampleRate));
+    });
+
+    const momentary = this.slidingLoudness(weightedPower, Math.round(MOMENTARY_WINDOW / BLOCK_STEP));
+    const shortTerm = this.slidingLoudness(weightedPower, Math.round(SHORT_TERM_WINDOW / BLOCK_STEP));
+    const noiseFloor = this.noiseFloor(plainPower);
+    const samplePeakDb = this.toDb(samplePeak);
+
+    return {
+      integratedLufs: this.integratedLoudness(momentary),
+      shortTermMaxLufs: shortTerm.reduce((max, value) => Math.max(max, value), -Infinity),
+      momentaryMaxLufs: momentary.reduce((max, value) => Math.max(max, value), -Infinity),
+      loudnessRangeLu: this.loudnessRange(shortTerm),
+      truePeakDb: this.toDb(Math.max(truePeak, samplePeak)),
+      samplePeakDb,
+      rmsDb: sumSquares > 0 ? 10 * Math.log10(sumSquares / (length * channels.length)) : -Infinity,
+      noiseFloorDb: noiseFloor,
+      dynamicRangeDb: Number.isFinite(noiseFloor) && Number.isFinite(samplePeakDb) ? samplePeakDb - noiseFloor : 0
+    };
+  }
+
+  /**
+   * BS.1770 channel weights: surrounds count 1.41, the LFE of a 5.1 layout is ignored
+   */
+  channelWeights(numChannels) {
+    if (numChannels === 6) {
+      return [1, 1, 1, 0, 1.41, 1.41];
+    }
+    return new Array(numChannels).fill(1);
+  }
+
+  /**
+   * K-weighting: the BS.1770 high shelf followed by its high-pass, with
+   * coefficients derived for any sample rate
+   * @returns {function} Filter taking one sample and returning the filtered sample
+   */
+  createKWeighting(sampleRate) {
+    // High shelf modelling the head's acoustic effect
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = {
+      b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+      a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+
+    // RLB high-pass
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highpass = {
+      b: [1, -2, 1],
+      a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+    };
+
+    let s1 = 0;
+    let s2 = 0;
+    let h1 = 0;
+    let h2 = 0;
+    return x => {
+      const y = shelf.b[0] * x + s1;
+      s1 = shelf.b[1] * x - shelf.a[0] * y + s2;
+      s2 = shelf.b[2] * x - shelf.a[1] * y;
+
+      const z = highpass.b[0] * y + h1;
+      h1 = highpass.b[1] * y - highpass.a[0] * z + h2;
+      h2 = highpass.b[2] * y - highpass.a[1] * z;
+      return z;
+    };
+  }
+
+  /**
+   * Loudness of each window of `span` blocks, stepping one block at a time
+   * @returns {Array<number>} LUFS per window
+   */
+  slidingLoudness(blockPower, span) {
+    const loudness = [];
+    if (blockPower.length < span) {
+      // Shorter than one window: measure what there is
+      if (blockPower.length > 0) {
+        loudness.push(this.toLufs(blockPower.reduce((a, b) => a + b, 0) / blockPower.length));
+      }
+      return loudness;
+    }
+
+    let sum = 0;
+    for (let i = 0; i < blockPower.length; i++) {
+      sum += blockPower[i];
+      if (i >= span) sum -= blockPower[i - span];
+      if (i >= span - 1) loudness.push(this.toLufs(Math.max(sum, 0) / span));
+    }
+    return loudness;
+  }
+
+  /**
+   * Gated integrated loudness over momentary (400 ms) blocks
+   */
+  integratedLoudness(momentary) {
+    const aboveAbsolute = momentary.filter(value => value > ABSOLUTE_GATE);
+    if (aboveAbsolute.length === 0) return -Infinity;
+
+    const relativeGate = this.meanLoudness(aboveAbsolute) + RELATIVE_GATE;
+    const gated = aboveAbsolute.filter(value => value > relativeGate);
+    return this.meanLoudness(gated);
+  }
+
+  /**
+   * EBU Tech 3342 loudness range: spread between the 10th and 95th
+   * percentiles of gated short-term loudness
+   */
+  loudnessRange(shortTerm) {
+    const aboveAbsolute = shortTerm.filter(value => value > ABSOLUTE_GATE);
+    if (aboveAbsolute.length === 0) return 0;
+
+    const relativeGate = this.meanLoudness(aboveAbsolute) + RANGE_RELATIVE_GATE;
+    const gated = aboveAbsolute.filter(value => value > relativeGate).sort((a, b) => a - b);
+    if (gated.length === 0) return 0;
+
+    const percentile = p => gated[Math.min(gated.length - 1, Math.round(p * (gated.length - 1)))];
+    return percentile(0.95) - percentile(0.1);
+  }
+
+  /**
+   * Mean power of the quietest non-silent 100 ms blocks, in dBFS
+   */
+  noiseFloor(blockPower) {
+    const silence = Math.pow(10, this.options.silenceDb / 10);
+    const audible = Array.from(blockPower).filter(power => power > silence).sort((a, b) => a - b);
+    if (audible.length === 0) return -Infinity;
+
+    const count = Math.max(1, Math.floor(audible.length * this.options.quietFraction));
+    let sum = 0;
+    for (let i = 0; i < count; i++) sum += audible[i];
+    return 10 * Math.log10(sum / count);
+  }
+
+  /**
+   * Largest inter-sample peak, by 4x oversampling below 96 kHz and 2x below 192 kHz
+   * @param {Float32Array} samples - Channel samples
+   * @param {number} sampleRate - Sample rate of the samples
+   * @param {Float32Array} envelope - Optional per-sample output raised to the
+   *   largest magnitude from each sample up to the next, so several channels
+   *   can share one envelope
+   * @returns {number} Largest interpolated magnitude between samples
+   */
+  truePeak(samples, sampleRate, envelope = null) {
+    const factor = sampleRate < 96000 ? 4 : sampleRate < 192000 ? 2 : 1;
+    if (envelope) {
+      for (let i = 0; i < samples.length; i++) {
+        envelope[i] = Math.max(envelope[i], Math.abs(samples[i]));
+      }
+    }
+    if (factor === 1) return 0;
+
+    const bank = this.createTruePeakBank(factor);
+    const halfWidth = this.options.truePeakTaps / 2;
+    const taps = this.options.truePeakTaps;
+    let peak = 0;
+
+    for (let index = 0; index < samples.length; index++) {
+      const first = index - halfWidth + 1;
+      const interior = first >= 0 && first + taps <= samples.length;
+      for (let phase = 1; phase < factor; phase++) {
+        const kernel = bank[phase];
+        let sum = 0;
+        if (interior) {
+          for (let k = 0; k < taps; k++) sum += samples[first + k] * kernel[k];
+        } else {
+          for (let k = 0; k < taps; k++) {
+            const i = first + k;
+            if (i >= 0 && i < samples.length) sum += samples[i] * kernel[k];
+          }
+        }
+        const value = Math.abs(sum);
+        if (value > peak) peak = value;
+        if (envelope && value > envelope[index]) envelope[index] = value;
+      }
+    }
+
+    return peak;
+  }
+
+  /**
+   * Interpolation kernels for each fractional position between samples
+   * @returns {Array<Float32Array>} Kernels indexed by phase; phase 0 is the sample itself
+   */
+  createTruePeakBank(factor) {
+    if (!this.truePeakBanks.has(factor)) {
+      const halfWidth = this.options.truePeakTaps / 2;
+      const bank = [];
+      for (let phase = 0; phase < factor; phase++) {
+        const kernel = new Float32Array(2 * halfWidth);
+        this.resampler.fillKernel(kernel, phase / factor, halfWidth, 1);
+        bank.push(kernel);
+      }
+      this.truePeakBanks.set(factor, bank);
+    }
+    return this.truePeakBanks.get(factor);
+  }
+
+  meanLoudness(values) {
+    let sum = 0;
+    for (const value of values) sum += Math.pow(10, (value + 0.691) / 10);
+    return this.toLufs(sum / values.length);
+  }
+
+  toLufs(power) {
+    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+  }
+
+  toDb(amplitude) {
+    return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+  }
+}
+
+module.exports = { LoudnessMeter };
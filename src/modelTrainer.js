@@ -3,6 +3,8 @@ const path = require('path');
 const tf = require('@tensorflow/tfjs-node');
 const ffmpeg = require('fluent-ffmpeg');
 const { Spectrogram } = require('./spectrogram');
+const { ContentAnalyzer } = require('./contentAnalyzer');
+const { WavReader } = require('./wavReader');
 
 /**
  * ModelTrainer handles training and fine-tuning of audio upscaling models
@@ -14,12 +16,14 @@ class ModelTrainer {
       epochs: 10,
       learningRate: 0.001,
       validationSplit: 0.2,
+      sampleRate: 44100, // Rate training pairs are resampled to; match the upscaler's target rate
       saveCheckpoints: true,
       checkpointDir: path.join(__dirname, '../models/checkpoints'),
       ...options
     };
     
     this.spectrogram = new Spectrogram();
+    this.wavReader = new WavReader();
     this.initialized = false;
   }
   
@@ -196,6 +200,232 @@ class ModelTrainer {
     }
   }
   
+  /**
+   * Train the content classifier on labelled audio files
+   * @param {Object} contentAnalyzer - ContentAnalyzer whose classifier is trained
+   * @param {Array<Object>} examples - Labelled files as { filePath, label }
+   * @param {function} progressCallback - Callback for progress updates
+   * @returns {Object} Held-out confusion matrix, accuracies and model path
+   */
+  async trainClassifier(contentAnalyzer, examples, progressCallback) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const labels = ContentAnalyzer.CONTENT_TYPES;
+
+    try {
+      // Report initial progress
+      if (progressCallback) progressCallback(0);
+
+      // Hold out whole files per class so segments of one recording never
+      // end up on both sides of the split
+      const trainingFiles = [];
+      const validationFiles = [];
+
+      for (const label of labels) {
+        const files = this.shuffle(examples.filter(example => example.label === label));
+        const numValidation = files.length > 1
+          ? Math.max(1, Math.floor(files.length * this.options.validationSplit))
+          : 0;
+
+        validationFiles.push(...files.slice(0, numValidation));
+        trainingFiles.push(...files.slice(numValidation));
+      }
+
+      if (trainingFiles.length === 0) {
+        throw new Error('No labelled training files found');
+      }
+
+      console.log(`Training files: ${trainingFiles.length}`);
+      console.log(`Validation files: ${validationFiles.length}`);
+
+      // Extract features
+      const totalFiles = trainingFiles.length + validationFiles.length;
+      let processedFiles = 0;
+      const extract = async files => {
+        const vectors = [];
+        const targets = [];
+
+        for (const { filePath, label } of files) {
+          try {
+            const fileVectors = await this.extractClassifierFeatures(contentAnalyzer, filePath);
+            for (const vector of fileVectors) {
+              vectors.push(vector);
+              targets.push(labels.indexOf(label));
+            }
+          } catch (error) {
+            console.warn(`Error extracting features from ${filePath}:`, error);
+            // Continue with next file
+          }
+
+          processedFiles++;
+          if (progressCallback) progressCallback(processedFiles / totalFiles * 40);
+        }
+
+        return { vectors, targets };
+      };
+
+      const training = await extract(trainingFiles);
+      const validation = await extract(validationFiles);
+
+      if (training.vectors.length === 0) {
+        throw new Error('Could not extract features from any training file');
+      }
+
+      console.log(`Training segments: ${training.vectors.length}`);
+      console.log(`Validation segments: ${validation.vectors.length}`);
+
+      // Standardize features with training-set statistics, and record the
+      // example length so the timeline classifies windows of the same length
+      const normalization = {
+        ...this.computeNormalization(training.vectors),
+        segmentDuration: contentAnalyzer.options.segmentDuration
+      };
+      contentAnalyzer.normalization = normalization;
+      const normalize = vectors => vectors.map(vector => Array.from(contentAnalyzer.normalizeFeatures(vector)));
+
+      const model = contentAnalyzer.createClassifierModel();
+      model.compile({
+        optimizer: tf.train.adam(this.options.learningRate),
+        loss: 'categoricalCrossentropy',
+        metrics: ['accuracy']
+      });
+
+      const xs = tf.tensor2d(normalize(training.vectors));
+      const ys = tf.tidy(() => tf.oneHot(tf.tensor1d(training.targets, 'int32'), labels.length).toFloat());
+
+      let history;
+      try {
+        history = await model.fit(xs, ys, {
+          epochs: this.options.epochs,
+          batchSize: this.options.batchSize,
+          shuffle: true,
+          callbacks: {
+            onEpochEnd: (epoch, logs) => {
+              const progress = 40 + (epoch + 1) / this.options.epochs * 50;
+              if (progressCallback) progressCallback(progress);
+
+              console.log(`Epoch ${epoch + 1}/${this.options.epochs} - loss: ${logs.loss.toFixed(4)} - acc: ${logs.acc.toFixed(4)}`);
+            }
+          }
+        });
+      } finally {
+        xs.dispose();
+        ys.dispose();
+      }
+
+      // Evaluate on the held-out files
+      const confusionMatrix = labels.map(() => labels.map(() => 0));
+      if (validation.vectors.length > 0) {
+        const predictions = tf.tidy(() => {
+          return model.predict(tf.tensor2d(normalize(validation.vectors))).argMax(-1).dataSync();
+        });
+
+        for (let i = 0; i < predictions.length; i++) {
+          confusionMatrix[validation.targets[i]][predictions[i]]++;
+        }
+      }
+
+      const perClassAccuracy = {};
+      let correct = 0;
+      labels.forEach((label, i) => {
+        const total = confusionMatrix[i].reduce((sum, count) => sum + count, 0);
+        perClassAccuracy[label] = total > 0 ? confusionMatrix[i][i] / total : null;
+        correct += confusionMatrix[i][i];
+      });
+      const accuracy = validation.vectors.length > 0 ? correct / validation.vectors.length : null;
+
+      // Save where ContentAnalyzer.initialize will pick it up
+      const modelPath = path.join(__dirname, '../models/content-classifier');
+      await fs.mkdir(modelPath, { recursive: true });
+      await model.save(`file://${modelPath}`);
+      await fs.writeFile(
+        path.join(modelPath, 'normalization.json'),
+        JSON.stringify(normalization, null, 2)
+      );
+
+      contentAnalyzer.model = model;
+      contentAnalyzer.modelTrained = true;
+
+      // Final progress update
+      if (progressCallback) progressCallback(100);
+
+      console.log(`Classifier training completed and saved to ${modelPath}`);
+
+      return {
+        labels,
+        confusionMatrix,
+        perClassAccuracy,
+        accuracy,
+        history: history.history,
+        modelPath
+      };
+    } catch (error) {
+      console.error('Error during classifier training:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract classifier feature vectors from segments of a file as long as the
+   * windows ContentAnalyzer.analyzeTimeline classifies
+   * @param {Object} contentAnalyzer - ContentAnalyzer used for decoding and features
+   * @param {string} filePath - Path to audio file
+   * @returns {Array<Float32Array>} One feature vector per segment
+   */
+  async extractClassifierFeatures(contentAnalyzer, filePath) {
+    const { samples, sampleRate } = await contentAnalyzer.decodeAudio(filePath);
+    const segmentLength = Math.round(contentAnalyzer.options.segmentDuration * sampleRate);
+    const vectors = [];
+
+    for (let start = 0; start < samples.length; start += segmentLength) {
+      const segment = samples.subarray(start, start + segmentLength);
+
+      // Skip short tails, unless the whole file is shorter than one segment
+      if (segment.length < segmentLength / 2 && start > 0) break;
+
+      vectors.push(contentAnalyzer.featureExtractor.featureVector(segment, sampleRate));
+    }
+
+    return vectors;
+  }
+
+  /**
+   * Per-dimension mean and standard deviation of feature vectors
+   * @param {Array<Float32Array>} vectors - Feature vectors
+   * @returns {Object} { mean, std } as plain arrays
+   */
+  computeNormalization(vectors) {
+    const size = vectors[0].length;
+    const mean = new Array(size).fill(0);
+    const std = new Array(size).fill(0);
+
+    for (const vector of vectors) {
+      for (let i = 0; i < size; i++) mean[i] += vector[i] / vectors.length;
+    }
+    for (const vector of vectors) {
+      for (let i = 0; i < size; i++) std[i] += Math.pow(vector[i] - mean[i], 2) / vectors.length;
+    }
+    for (let i = 0; i < size; i++) std[i] = Math.sqrt(std[i]) || 1;
+
+    return { mean, std };
+  }
+
+  /**
+   * Shuffle a copy of an array (Fisher-Yates)
+   * @param {Array} items - Items to shuffle
+   * @returns {Array} Shuffled copy
+   */
+  shuffle(items) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
   /**
    * Create a dataset from pairs of audio files
    * @param {Array<string>} lowQualityFiles - Paths to low-quality audio files
@@ -253,56 +483,18 @@ class ModelTrainer {
           .output(tempWavPath)
           .audioCodec('pcm_s16le')
           .audioChannels(1) // Mono for simplicity
-          .audioFrequency(44100)
+          .audioFrequency(this.options.sampleRate)
           .on('end', resolve)
           .on('error', reject)
           .run();
       });
       
       // Read the WAV file
-      const buffer = await fs.readFile(tempWavPath);
-      
-      // Parse WAV header (simplified)
-      const sampleRate = buffer.readUInt32LE(24);
-      const numChannels = buffer.readUInt16LE(22);
-      const bitsPerSample = buffer.readUInt16LE(34);
-      const dataSize = buffer.readUInt32LE(40);
-      
-      // Extract audio data
-      const dataOffset = 44; // Standard WAV header size
-      const numSamples = dataSize / (bitsPerSample / 8) / numChannels;
-      
-      // Convert to float32 samples
-      const samples = new Float32Array(numSamples);
-      const bytesPerSample = bitsPerSample / 8;
-      const scale = 1.0 / (1 << (bitsPerSample - 1));
-      
-      for (let i = 0; i < numSamples; i++) {
-        const sampleOffset = dataOffset + i * bytesPerSample;
-        
-        // Read sample based on bit depth
-        let sample = 0;
-        if (bitsPerSample === 16) {
-          sample = buffer.readInt16LE(sampleOffset);
-        } else if (bitsPerSample === 24) {
-          // 24-bit samples need special handling
-          const b1 = buffer[sampleOffset];
-          const b2 = buffer[sampleOffset + 1];
-          const b3 = buffer[sampleOffset + 2];
-          sample = ((b3 << 16) | (b2 << 8) | b1) << 8 >> 8; // Sign extension
-        } else if (bitsPerSample === 32) {
-          sample = buffer.readInt32LE(sampleOffset);
-        } else {
-          // Default to 16-bit
-          sample = buffer.readInt16LE(sampleOffset);
-        }
-        
-        // Normalize to [-1, 1]
-        samples[i] = sample * scale;
-      }
+      const { channels } = await this.wavReader.readFile(tempWavPath);
+      const samples = channels[0];
       
       // Segment the audio into training chunks
-      const segmentSize = 8192; // ~0.2 seconds at 44.1kHz
+      const segmentSize = 8192; // ~0.2 seconds at 44.1kHz, ~0.09 at 96kHz
       const segments = [];
       
       for (let i = 0; i < samples.length - segmentSize; i += segmentSize / 2) { // 50% overlap
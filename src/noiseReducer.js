@@ -0,0 +1,149 @@
+const { Spectrogram } = require('./spectrogram');
+
+/**
+ * NoiseReducer removes stationary noise (hiss, hum beds, room tone) with a
+ * Wiener filter driven by a noise profile. The decision-directed a priori SNR
+ * estimate and gain smoothing across neighbouring bins keep the residual
+ * free of "musical noise" - the isolated tonal blips plain spectral
+ * subtraction leaves behind.
+ */
+class NoiseReducer {
+  constructor(options = {}) {
+    this.options = {
+      fftSize: 2048,
+      hopSize: 512,
+      reductionDb: 12, // Largest attenuation applied to any bin
+      quietFraction: 0.1, // Share of quietest frames used for an automatic profile
+      noiseGateDb: 15, // Quiet frames this far below the median frame are taken as the noise floor
+      minFlatness: 0.5, // Or quiet frames this spectrally flat, for material that is noise throughout
+      smoothing: 0.98, // Decision-directed weight; higher trades responsiveness for less musical noise
+      frequencySmoothing: 2, // Bins on each side averaged into each gain
+      ...options
+    };
+
+    // Hann analysis and synthesis, zero-padded by half a frame at each end
+    this.spectrogram = new Spectrogram({
+      fftSize: this.options.fftSize,
+      hopSize: this.options.hopSize,
+      window: 'hann',
+      padMode: 'constant'
+    });
+  }
+
+  /**
+   * Estimate a noise power spectrum for one channel
+   * @param {Float32Array} samples - Samples to take the profile from
+   * @param {Object} options - { quietOnly } to average only the quietest frames
+   *   (automatic profiling) instead of every frame (a range or a noise file)
+   * @returns {Float64Array|null} Mean power per bin; null for an automatic
+   *   profile when the quietest frames are neither well below the rest nor
+   *   noise-like, so they are quiet program material rather than a noise floor
+   */
+  estimateProfile(samples, { quietOnly = true } = {}) {
+    const { fftSize } = this.options;
+    const freqBins = fftSize / 2 + 1;
+    const frames = [];
+
+    this.spectrogram.forEachFrame(samples, spectrum => {
+      const power = new Float64Array(freqBins);
+      let energy = 0;
+      for (let bin = 0; bin < freqBins; bin++) {
+        power[bin] = spectrum[2 * bin] * spectrum[2 * bin] + spectrum[2 * bin + 1] * spectrum[2 * bin + 1];
+        energy += power[bin];
+      }
+      // Digital silence is not noise and would make the profile meaningless
+      if (energy > 1e-12) frames.push({ power, energy });
+    });
+
+    const profile = new Float64Array(freqBins);
+    if (frames.length === 0) return quietOnly ? null : profile;
+
+    let selected = frames;
+    let medianEnergy = 0;
+    if (quietOnly) {
+      selected = frames.slice().sort((a, b) => a.energy - b.energy);
+      medianEnergy = selected[Math.floor(selected.length / 2)].energy;
+      selected = selected.slice(0, Math.max(1, Math.floor(selected.length * this.options.quietFraction)));
+    }
+
+    let energy = 0;
+    for (const frame of selected) {
+      energy += frame.energy / selected.length;
+      for (let bin = 0; bin < freqBins; bin++) {
+        profile[bin] += frame.power[bin] / selected.length;
+      }
+    }
+
+    if (quietOnly) {
+      const belowMedianDb = 10 * Math.log10(medianEnergy / energy);
+      if (belowMedianDb < this.options.noiseGateDb && this.spectralFlatness(profile) < this.options.minFlatness) {
+        return null;
+      }
+    }
+
+    return profile;
+  }
+
+  /**
+   * Spectral flatness: geometric over arithmetic mean power, DC excluded.
+   * Near 1 for white noise, near 0 for tones.
+   */
+  spectralFlatness(power) {
+    let logSum = 0;
+    let sum = 0;
+    for (let bin = 1; bin < power.length; bin++) {
+      logSum += Math.log(power[bin] + 1e-30);
+      sum += power[bin];
+    }
+    const count = power.length - 1;
+    return sum > 0 ? Math.exp(logSum / count) / (sum / count) : 0;
+  }
+
+  /**
+   * Remove noise matching a profile from one channel
+   * @param {Float32Array} samples - Noisy samples
+   * @param {Float64Array} profile - Noise power per bin from estimateProfile
+   * @returns {Float32Array} Denoised samples of the same length
+   */
+  reduce(samples, profile) {
+    const { fftSize, smoothing, frequencySmoothing } = this.options;
+    const freqBins = fftSize / 2 + 1;
+    const minGain = Math.pow(10, -this.options.reductionDb / 20);
+
+    const gains = new Float64Array(freqBins);
+    const smoothed = new Float64Array(freqBins);
+    const previousClean = new Float64Array(freqBins);
+
+    return this.spectrogram.process(samples, spectrum => {
+      for (let bin = 0; bin < freqBins; bin++) {
+        const noise = Math.max(profile[bin], 1e-20);
+        const power = spectrum[2 * bin] * spectrum[2 * bin] + spectrum[2 * bin + 1] * spectrum[2 * bin + 1];
+        const posterior = power / noise;
+
+        // Decision-directed a priori SNR (Ephraim-Malah): lean on the previous
+        // frame's clean estimate so the gain cannot flicker frame to frame
+        const prior = smoothing * previousClean[bin] / noise + (1 - smoothing) * Math.max(posterior - 1, 0);
+        gains[bin] = prior / (1 + prior);
+      }
+
+      for (let bin = 0; bin < freqBins; bin++) {
+        let sum = 0;
+        let count = 0;
+        for (let i = Math.max(0, bin - frequencySmoothing); i <= Math.min(freqBins - 1, bin + frequencySmoothing); i++) {
+          sum += gains[i];
+          count++;
+        }
+        smoothed[bin] = Math.max(minGain, sum / count);
+      }
+
+      for (let bin = 0; bin < freqBins; bin++) {
+        const gain = smoothed[bin];
+        spectrum[2 * bin] *= gain;
+        spectrum[2 * bin + 1] *= gain;
+        previousClean[bin] = spectrum[2 * bin] * spectrum[2 * bin] + spectrum[2 * bin + 1] * spectrum[2 * bin + 1];
+      }
+    });
+  }
+}
+
+module.exports = { NoiseReducer };
@@ -1,47 +1,160 @@
+const { Spectrogram } = require('./spectrogram');
+
+/**
+ * PhaseReconstructor estimates a consistent phase for a magnitude
+ * spectrogram using Griffin-Lim or its momentum-accelerated "fast" variant
+ */
 class PhaseReconstructor {
   constructor(options = {}) {
-    this.iterations = options.iterations || 10;
+    this.iterations = options.iterations || 32;
+    this.algorithm = options.algorithm || 'fast'; // 'fast' or 'griffin-lim'
+    this.momentum = options.momentum !== undefined ? options.momentum : 0.99;
+    this.tolerance = options.tolerance || 0;
   }
-  
-  reconstruct(targetSpectrogram, referenceSpectrogram) {
-    // Griffin-Lim algorithm for phase reconstruction
+
+  /**
+   * Reconstruct phase for a target magnitude spectrogram
+   * @param {Object} targetSpectrogram - Spectrogram whose magnitudes must be kept
+   * @param {Object} referenceSpectrogram - Optional spectrogram whose phase seeds the estimate
+   * @param {Object} options - Per-call overrides (iterations, algorithm, momentum,
+   *   tolerance, lockBelowBin, or lockBelowHz together with sampleRate)
+   * @returns {Object} Spectrogram with target magnitude, reconstructed phase and
+   *   per-iteration spectral convergence
+   */
+  reconstruct(targetSpectrogram, referenceSpectrogram = null, options = {}) {
     const { magnitude, timeFrames, freqBins } = targetSpectrogram;
-    
-    // Start with the reference phase
-    let currentPhase = new Float32Array(referenceSpectrogram.phase);
-    
-    // Create output spectrogram
-    const result = {
-      magnitude: new Float32Array(magnitude),
-      phase: new Float32Array(currentPhase),
+    const fftSize = targetSpectrogram.fftSize || (freqBins - 1) * 2;
+    const hopSize = targetSpectrogram.hopSize || fftSize / 4;
+
+    const iterations = options.iterations || this.iterations;
+    const algorithm = options.algorithm || this.algorithm;
+    const tolerance = options.tolerance !== undefined ? options.tolerance : this.tolerance;
+    const momentum = algorithm === 'fast'
+      ? (options.momentum !== undefined ? options.momentum : this.momentum)
+      : 0;
+
+    // Low bins whose phase stays pinned to the reference
+    let lockBins = 0;
+    if (referenceSpectrogram) {
+      if (options.lockBelowBin !== undefined) {
+        lockBins = options.lockBelowBin;
+      } else if (options.lockBelowHz !== undefined && options.sampleRate) {
+        lockBins = Math.floor(options.lockBelowHz * fftSize / options.sampleRate);
+      }
+      lockBins = Math.max(0, Math.min(freqBins, lockBins));
+    }
+
+    const spectrogram = new Spectrogram({
+      fftSize,
+      hopSize,
+      window: targetSpectrogram.window,
+      center: targetSpectrogram.center
+    });
+    const size = timeFrames * freqBins;
+
+    // Unit-modulus phase estimate, seeded from the reference phase when available
+    const angleRe = new Float32Array(size);
+    const angleIm = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      const phs = referenceSpectrogram
+        ? referenceSpectrogram.phase[i]
+        : (Math.random() * 2 - 1) * Math.PI;
+      angleRe[i] = Math.cos(phs);
+      angleIm[i] = Math.sin(phs);
+    }
+
+    // Previous consistent estimate, used by the momentum term
+    const prevRe = new Float32Array(size);
+    const prevIm = new Float32Array(size);
+
+    let targetEnergy = 0;
+    for (let i = 0; i < size; i++) {
+      targetEnergy += magnitude[i] * magnitude[i];
+    }
+    const targetNorm = Math.sqrt(targetEnergy) || 1;
+
+    const current = {
+      magnitude,
+      phase: new Float32Array(size),
       timeFrames,
-      freqBins
+      freqBins,
+      fftSize,
+      hopSize,
+      window: spectrogram.windowType,
+      center: spectrogram.center,
+      length: targetSpectrogram.length
     };
-    
-    // Iterative phase reconstruction
-    for (let iter = 0; iter < this.iterations; iter++) {
-      // In a real implementation, we would:
-      // 1. Convert magnitude and phase to complex spectrogram
-      // 2. Convert to time domain
-      // 3. Convert back to frequency domain
-      // 4. Keep the magnitude from the target, but update the phase
-      
-      // For simplicity, we're just doing a weighted average with the reference phase
-      // This is not true phase reconstruction, just a placeholder
-      const weight = (this.iterations - iter) / this.iterations;
-      
-      for (let i = 0; i < currentPhase.length; i++) {
-        // Gradually reduce the influence of the reference phase
-        result.phase[i] = weight * referenceSpectrogram.phase[i] + 
-                         (1 - weight) * currentPhase[i];
-        
-        // Update current phase for next iteration
-        currentPhase[i] = result.phase[i];
+    const convergence = [];
+    const blend = momentum / (1 + momentum);
+
+    for (let iter = 0; iter < iterations; iter++) {
+      // Impose the target magnitude on the current phase estimate
+      for (let i = 0; i < size; i++) {
+        current.phase[i] = Math.atan2(angleIm[i], angleRe[i]);
+      }
+
+      // Project onto the set of consistent spectrograms
+      const rebuilt = spectrogram.fromTimeDomain(spectrogram.toTimeDomain(current));
+
+      let errorEnergy = 0;
+      for (let i = 0; i < size; i++) {
+        const mag = rebuilt.magnitude[i];
+        const phs = rebuilt.phase[i];
+        const re = mag * Math.cos(phs);
+        const im = mag * Math.sin(phs);
+
+        const diff = mag - magnitude[i];
+        errorEnergy += diff * diff;
+
+        // Fast Griffin-Lim extrapolates away from the previous estimate;
+        // with zero momentum this is plain Griffin-Lim
+        const nextRe = iter > 0 ? re - blend * prevRe[i] : re;
+        const nextIm = iter > 0 ? im - blend * prevIm[i] : im;
+        const norm = Math.sqrt(nextRe * nextRe + nextIm * nextIm) || 1;
+
+        angleRe[i] = nextRe / norm;
+        angleIm[i] = nextIm / norm;
+        prevRe[i] = re;
+        prevIm[i] = im;
+      }
+
+      // Keep the trusted low band locked to the reference phase
+      if (lockBins > 0) {
+        for (let frame = 0; frame < timeFrames; frame++) {
+          for (let bin = 0; bin < lockBins; bin++) {
+            const index = frame * freqBins + bin;
+            angleRe[index] = Math.cos(referenceSpectrogram.phase[index]);
+            angleIm[index] = Math.sin(referenceSpectrogram.phase[index]);
+          }
+        }
+      }
+
+      const spectralConvergence = Math.sqrt(errorEnergy) / targetNorm;
+      convergence.push(spectralConvergence);
+
+      if (spectralConvergence < tolerance) {
+        break;
       }
     }
-    
-    return result;
+
+    const phase = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      phase[i] = Math.atan2(angleIm[i], angleRe[i]);
+    }
+
+    return {
+      magnitude: new Float32Array(magnitude),
+      phase,
+      timeFrames,
+      freqBins,
+      fftSize,
+      hopSize,
+      window: spectrogram.windowType,
+      center: spectrogram.center,
+      length: targetSpectrogram.length,
+      convergence
+    };
   }
 }
 
-module.exports = { PhaseReconstructor };
\ No newline at end of file
+module.exports = { PhaseReconstructor };
@@ -0,0 +1,132 @@
+const { besselI0 } = require('./spectrogram');
+
+/**
+ * Resampler converts between sample rates with a Kaiser-windowed sinc
+ * interpolator. Rational ratios use a precomputed polyphase filter bank;
+ * ratios that would need too many phases interpolate linearly between the
+ * kernels of a maxPhases bank.
+ */
+class Resampler {
+  constructor(options = {}) {
+    this.options = {
+      zeroCrossings: 32, // Sinc lobes on each side of the kernel centre
+      kaiserBeta: 8.6, // Stopband attenuation of roughly 90 dB
+      rolloff: 0.95, // Passband edge as a fraction of the lower Nyquist frequency
+      maxPhases: 4096, // Largest polyphase filter bank to precompute; finer phases are interpolated
+      ...options
+    };
+  }
+
+  /**
+   * Resample a block of mono samples
+   * @param {Float32Array} samples - Input samples
+   * @param {number} fromRate - Input sample rate in Hz
+   * @param {number} toRate - Output sample rate in Hz
+   * @returns {Float32Array} Resampled samples
+   */
+  resample(samples, fromRate, toRate) {
+    if (!(fromRate > 0) || !(toRate > 0)) {
+      throw new Error(`Invalid resampling rates: ${fromRate} -> ${toRate}`);
+    }
+    if (fromRate === toRate) {
+      return new Float32Array(samples);
+    }
+
+    const divisor = this.gcd(Math.round(fromRate), Math.round(toRate));
+    const up = Math.round(toRate) / divisor;
+    const down = Math.round(fromRate) / divisor;
+    const outputLength = Math.ceil(samples.length * up / down);
+    const output = new Float32Array(outputLength);
+
+    // Downsampling must also filter out everything above the new Nyquist
+    const cutoff = this.options.rolloff * Math.min(1, up / down);
+    const halfWidth = Math.ceil(this.options.zeroCrossings / cutoff);
+    const taps = 2 * halfWidth;
+
+    // With more phases than the bank holds, each phase falls between two
+    // bank kernels; the extra kernel at the end covers a fraction of one
+    const exact = up <= this.options.maxPhases;
+    const phases = exact ? up : this.options.maxPhases;
+    const bank = this.createFilterBank(phases, halfWidth, cutoff, exact ? 0 : 1);
+    const kernel = new Float32Array(taps);
+
+    for (let n = 0; n < outputLength; n++) {
+      // Output sample n sits at input position n * down / up
+      const position = n * down;
+      const index = Math.floor(position / up);
+      const phase = position - index * up;
+
+      let filter;
+      if (exact) {
+        filter = bank[phase];
+      } else {
+        const scaled = phase / up * phases;
+        const lower = Math.floor(scaled);
+        const weight = scaled - lower;
+        const a = bank[lower];
+        const b = bank[lower + 1];
+        for (let k = 0; k < taps; k++) {
+          kernel[k] = a[k] + (b[k] - a[k]) * weight;
+        }
+        filter = kernel;
+      }
+
+      let sum = 0;
+      const first = index - halfWidth + 1;
+      for (let k = 0; k < taps; k++) {
+        const i = first + k;
+        if (i >= 0 && i < samples.length) {
+          sum += samples[i] * filter[k];
+        }
+      }
+      output[n] = sum;
+    }
+
+    return output;
+  }
+
+  /**
+   * Precompute one kernel per fractional phase
+   * @param {number} extra - Kernels to add past the last phase, for interpolation
+   * @returns {Array<Float32Array>} Kernels indexed by phase
+   */
+  createFilterBank(phases, halfWidth, cutoff, extra = 0) {
+    const bank = [];
+    for (let phase = 0; phase < phases + extra; phase++) {
+      const kernel = new Float32Array(2 * halfWidth);
+      this.fillKernel(kernel, phase / phases, halfWidth, cutoff);
+      bank.push(kernel);
+    }
+    return bank;
+  }
+
+  /**
+   * Windowed-sinc kernel for an output sample offset by `fraction` input
+   * samples past tap halfWidth - 1
+   */
+  fillKernel(kernel, fraction, halfWidth, cutoff) {
+    const beta = this.options.kaiserBeta;
+    const denominator = besselI0(beta);
+
+    for (let k = 0; k < kernel.length; k++) {
+      // Distance from the output position to input tap k, in input samples
+      const x = k - halfWidth + 1 - fraction;
+      const ratio = x / halfWidth;
+      const window = Math.abs(ratio) >= 1
+        ? 0
+        : besselI0(beta * Math.sqrt(1 - ratio * ratio)) / denominator;
+      const arg = Math.PI * cutoff * x;
+      const sinc = x === 0 ? 1 : Math.sin(arg) / arg;
+      kernel[k] = cutoff * sinc * window;
+    }
+  }
+
+  gcd(a, b) {
+    while (b) {
+      [a, b] = [b, a % b];
+    }
+    return a;
+  }
+}
+
+module.exports = { Resampler };
@@ -1,149 +1,417 @@
+const FFT = require('fft.js');
+
+const WINDOW_TYPES = ['hann', 'hamming', 'blackman-harris', 'kaiser', 'sqrt-hann'];
+
+// Summed squared window below which synthesis cannot rebuild a sample
+const MIN_WINDOW_SUM = 1e-10;
+// Without centre padding the first sample is weighted by the first window
+// sample alone; below this, rounding in the stored spectrum swamps it
+const MIN_EDGE_WINDOW = 1e-3;
+
+/**
+ * Zeroth-order modified Bessel function of the first kind (series expansion),
+ * for Kaiser windows
+ */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  const half = x / 2;
+  for (let k = 1; k < 50; k++) {
+    term *= (half / k) * (half / k);
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
 class Spectrogram {
   constructor(options = {}) {
     this.fftSize = options.fftSize || 2048;
     this.hopSize = options.hopSize || this.fftSize / 4;
+    this.windowType = options.window || 'hann';
+    this.kaiserBeta = options.kaiserBeta !== undefined ? options.kaiserBeta : 8.6;
+    // Centre frames on their sample by padding half a frame on each side
+    this.center = options.center !== undefined ? options.center : true;
+    this.padMode = options.padMode || 'reflect'; // 'reflect' or 'constant'
+
+    // fft.js only handles power-of-two sizes
+    if (this.fftSize < 2 || (this.fftSize & (this.fftSize - 1)) !== 0) {
+      throw new Error(`FFT size must be a power of two, got ${this.fftSize}`);
+    }
+
+    if (!WINDOW_TYPES.includes(this.windowType)) {
+      throw new Error(`Unknown window type: ${this.windowType} (expected one of ${WINDOW_TYPES.join(', ')})`);
+    }
+
+    if (this.hopSize <= 0 || this.hopSize > this.fftSize) {
+      throw new Error(`Hop size must be between 1 and the FFT size, got ${this.hopSize}`);
+    }
+
+    // The FFT instance precomputes its twiddle table once per size
+    this.fft = new FFT(this.fftSize);
+
+    // Reusable work buffers so framing a long signal doesn't allocate per frame
+    this.frameBuffer = new Float64Array(this.fftSize);
+    this.spectrumBuffer = this.fft.createComplexArray();
+    this.complexBuffer = this.fft.createComplexArray();
+    this.window = null;
   }
-  
+
+  /**
+   * Reject settings that synthesis cannot invert. Analysis alone accepts
+   * them, so this only runs ahead of toTimeDomain.
+   * @param {boolean} center - Whether the frames were centre padded
+   */
+  checkSynthesis(center) {
+    const window = this.getWindow();
+
+    // Synthesis divides by the squared windows overlapping each sample, so
+    // that sum has to stay above zero everywhere for the round trip to hold
+    let minSum = Infinity;
+    for (let n = 0; n < this.hopSize; n++) {
+      let sum = 0;
+      for (let i = n; i < this.fftSize; i += this.hopSize) {
+        sum += window[i] * window[i];
+      }
+      minSum = Math.min(minSum, sum);
+    }
+    if (minSum <= MIN_WINDOW_SUM) {
+      throw new Error(`Hop size ${this.hopSize} leaves gaps between ${this.windowType} windows of ${this.fftSize} samples; use a smaller hop`);
+    }
+
+    if (!center && window[0] < MIN_EDGE_WINDOW) {
+      throw new Error(`The ${this.windowType} window is (near) zero at its first sample, so resynthesis needs center: true`);
+    }
+  }
+
+  // Windows are periodic (DFT-even) so that overlapping frames sum smoothly
+
   hannWindow(length) {
     const window = new Float32Array(length);
     for (let i = 0; i < length; i++) {
-      window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (length - 1)));
+      window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / length);
     }
     return window;
   }
-  
-  fromTimeDomain(samples) {
-    // Create spectrogram from time domain samples
-    const window = this.hannWindow(this.fftSize);
-    
-    // Calculate number of frames
-    const numFrames = Math.floor((samples.length - this.fftSize) / this.hopSize) + 1;
-    
-    // Allocate memory for spectrogram
-    const magnitude = new Float32Array(numFrames * (this.fftSize / 2 + 1));
-    const phase = new Float32Array(numFrames * (this.fftSize / 2 + 1));
-    
-    // Process each frame
+
+  hammingWindow(length) {
+    const window = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      window[i] = 0.54 - 0.46 * Math.cos(2 * Math.PI * i / length);
+    }
+    return window;
+  }
+
+  blackmanHarrisWindow(length) {
+    const window = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const x = 2 * Math.PI * i / length;
+      window[i] = 0.35875 - 0.48829 * Math.cos(x) + 0.14128 * Math.cos(2 * x) - 0.01168 * Math.cos(3 * x);
+    }
+    return window;
+  }
+
+  kaiserWindow(length, beta = this.kaiserBeta) {
+    const window = new Float32Array(length);
+    const denominator = besselI0(beta);
+    for (let i = 0; i < length; i++) {
+      const ratio = 2 * i / length - 1;
+      window[i] = besselI0(beta * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / denominator;
+    }
+    return window;
+  }
+
+  sqrtHannWindow(length) {
+    const window = this.hannWindow(length);
+    for (let i = 0; i < length; i++) {
+      window[i] = Math.sqrt(window[i]);
+    }
+    return window;
+  }
+
+  createWindow(type, length) {
+    switch (type) {
+      case 'hamming':
+        return this.hammingWindow(length);
+      case 'blackman-harris':
+        return this.blackmanHarrisWindow(length);
+      case 'kaiser':
+        return this.kaiserWindow(length);
+      case 'sqrt-hann':
+        return this.sqrtHannWindow(length);
+      default:
+        return this.hannWindow(length);
+    }
+  }
+
+  getWindow() {
+    // Cache the analysis/synthesis window, it only depends on the FFT size
+    if (!this.window) {
+      this.window = this.createWindow(this.windowType, this.fftSize);
+    }
+    return this.window;
+  }
+
+  /**
+   * Frames needed to cover a signal, including the partial last one
+   * @param {number} length - Signal length in samples
+   * @returns {number} Frame count
+   */
+  frameCount(length) {
+    const pad = this.center ? this.fftSize / 2 : 0;
+    return 1 + Math.ceil(Math.max(0, length + 2 * pad - this.fftSize) / this.hopSize);
+  }
+
+  /**
+   * Pad the signal so that every sample is covered by whole frames
+   * @param {Float32Array} samples - Time domain samples
+   * @returns {Object} Padded samples, frame count and leading pad length
+   */
+  padSignal(samples) {
+    const pad = this.center ? this.fftSize / 2 : 0;
+    const numFrames = this.frameCount(samples.length);
+
+    // Zero-fill the tail so the last partial frame is kept instead of dropped
+    const padded = new Float32Array((numFrames - 1) * this.hopSize + this.fftSize);
+    padded.set(samples, pad);
+
+    if (pad > 0 && this.padMode === 'reflect' && samples.length > 1) {
+      const period = 2 * (samples.length - 1);
+      const reflect = index => {
+        let i = ((index % period) + period) % period;
+        return i < samples.length ? i : period - i;
+      };
+
+      for (let i = 0; i < pad; i++) {
+        padded[pad - 1 - i] = samples[reflect(i + 1)];
+        padded[pad + samples.length + i] = samples[reflect(samples.length - 2 - i)];
+      }
+    }
+
+    return { padded, numFrames, pad };
+  }
+
+  /**
+   * Window and transform each frame in turn, without storing the spectrogram
+   * @param {Float32Array} samples - Time domain samples
+   * @param {function} callback - Called with the interleaved complex
+   *   half-spectrum (fftSize / 2 + 1 bins) and the frame index; the buffer is
+   *   reused for the next frame
+   * @returns {number} Number of frames
+   */
+  forEachFrame(samples, callback) {
+    const window = this.getWindow();
+    const { padded, numFrames } = this.padSignal(samples);
+    const frameData = this.frameBuffer;
+    const spectrum = this.spectrumBuffer;
+
     for (let frame = 0; frame < numFrames; frame++) {
       const startSample = frame * this.hopSize;
-      
+
       // Apply window function and prepare frame
-      const frameData = new Float32Array(this.fftSize);
       for (let i = 0; i < this.fftSize; i++) {
-        if (startSample + i < samples.length) {
-          frameData[i] = samples[startSample + i] * window[i];
-        }
+        frameData[i] = padded[startSample + i] * window[i];
       }
-      
-      // Perform FFT (simplified implementation)
-      const { real, imag } = this.performFFT(frameData);
-      
+
+      // Real-input FFT only fills the non-negative half of the spectrum,
+      // which is all we keep anyway
+      this.fft.realTransform(spectrum, frameData);
+      callback(spectrum, frame);
+    }
+
+    return numFrames;
+  }
+
+  fromTimeDomain(samples) {
+    // Create spectrogram from time domain samples
+    const freqBins = this.fftSize / 2 + 1;
+    const numFrames = this.frameCount(samples.length);
+
+    // Allocate memory for spectrogram
+    const magnitude = new Float32Array(numFrames * freqBins);
+    const phase = new Float32Array(numFrames * freqBins);
+
+    this.forEachFrame(samples, (spectrum, frame) => {
       // Convert to magnitude and phase
-      for (let i = 0; i <= this.fftSize / 2; i++) {
-        const index = frame * (this.fftSize / 2 + 1) + i;
-        magnitude[index] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
-        phase[index] = Math.atan2(imag[i], real[i]);
+      const offset = frame * freqBins;
+      for (let i = 0; i < freqBins; i++) {
+        const re = spectrum[2 * i];
+        const im = spectrum[2 * i + 1];
+        magnitude[offset + i] = Math.sqrt(re * re + im * im);
+        phase[offset + i] = Math.atan2(im, re);
       }
-    }
-    
+    });
+
     return {
       magnitude,
       phase,
       timeFrames: numFrames,
-      freqBins: this.fftSize / 2 + 1,
+      freqBins,
       fftSize: this.fftSize,
-      hopSize: this.hopSize
+      hopSize: this.hopSize,
+      window: this.windowType,
+      center: this.center,
+      length: samples.length
     };
   }
-  
+
   performFFT(signal) {
-    // Simplified FFT implementation
-    // In a real implementation, we would use a proper FFT library
-    const n = signal.length;
-    const real = new Float32Array(n);
-    const imag = new Float32Array(n);
-    
-    // Initialize with signal
+    // Forward FFT of a single real frame of length fftSize
+    const n = this.fftSize;
+    const frameData = this.frameBuffer;
     for (let i = 0; i < n; i++) {
-      real[i] = signal[i];
+      frameData[i] = i < signal.length ? signal[i] : 0;
     }
-    
-    // Perform FFT (very simplified)
-    // This is just a placeholder - in a real implementation we would use a proper FFT algorithm
+
+    const spectrum = this.spectrumBuffer;
+    this.fft.realTransform(spectrum, frameData);
+    this.fft.completeSpectrum(spectrum);
+
+    const real = new Float32Array(n);
+    const imag = new Float32Array(n);
     for (let i = 0; i < n; i++) {
-      for (let j = 0; j < n; j++) {
-        const angle = -2 * Math.PI * i * j / n;
-        real[i] += signal[j] * Math.cos(angle);
-        imag[i] += signal[j] * Math.sin(angle);
-      }
+      real[i] = spectrum[2 * i];
+      imag[i] = spectrum[2 * i + 1];
     }
-    
+
     return { real, imag };
   }
-  
+
   toTimeDomain(spectrogramData) {
     // Convert spectrogram back to time domain
     const { magnitude, phase, timeFrames, freqBins } = spectrogramData;
-    
-    // Calculate output length
-    const outputLength = (timeFrames - 1) * this.hopSize + this.fftSize;
-    const output = new Float32Array(outputLength).fill(0);
-    
-    const window = this.hannWindow(this.fftSize);
-    
+
+    const center = spectrogramData.center !== undefined ? spectrogramData.center : this.center;
+    this.checkSynthesis(center);
+
+    // Calculate overlap-add length before removing the centre padding
+    const fullLength = Math.max(0, (timeFrames - 1) * this.hopSize + this.fftSize);
+    const output = new Float64Array(fullLength);
+    const windowSum = new Float64Array(fullLength);
+
+    const spectrum = this.complexBuffer;
+    const frameData = this.spectrumBuffer;
+    const half = this.fftSize / 2;
+
     // Process each frame
     for (let frame = 0; frame < timeFrames; frame++) {
-      // Convert magnitude and phase to real and imaginary
-      const real = new Float32Array(this.fftSize);
-      const imag = new Float32Array(this.fftSize);
-      
-      for (let i = 0; i <= this.fftSize / 2; i++) {
+      // Rebuild the full Hermitian spectrum from magnitude and phase
+      for (let i = 0; i <= half; i++) {
         const index = frame * freqBins + i;
         const mag = magnitude[index];
         const phs = phase[index];
-        
-        real[i] = mag * Math.cos(phs);
-        imag[i] = mag * Math.sin(phs);
-        
+
+        const re = mag * Math.cos(phs);
+        const im = mag * Math.sin(phs);
+        spectrum[2 * i] = re;
+        spectrum[2 * i + 1] = im;
+
         // Mirror for negative frequencies (except DC and Nyquist)
-        if (i > 0 && i < this.fftSize / 2) {
-          real[this.fftSize - i] = real[i];
-          imag[this.fftSize - i] = -imag[i]; // Conjugate
+        if (i > 0 && i < half) {
+          spectrum[2 * (this.fftSize - i)] = re;
+          spectrum[2 * (this.fftSize - i) + 1] = -im; // Conjugate
         }
       }
-      
+
       // Perform inverse FFT
-      const frameData = this.performInverseFFT(real, imag);
-      
-      // Overlap-add to output
-      const startSample = frame * this.hopSize;
-      for (let i = 0; i < this.fftSize; i++) {
-        if (startSample + i < outputLength) {
-          output[startSample + i] += frameData[i] * window[i] / (this.fftSize / 2);
-        }
+      this.fft.inverseTransform(frameData, spectrum);
+      this.overlapAdd(output, windowSum, frameData, frame * this.hopSize);
+    }
+
+    const length = spectrogramData.length !== undefined
+      ? spectrogramData.length
+      : Math.max(0, fullLength - 2 * (center ? half : 0));
+    return this.normalizeOverlap(output, windowSum, center, length);
+  }
+
+  /**
+   * Analyse, modify and resynthesize a signal frame by frame, without
+   * storing the whole spectrogram
+   * @param {Float32Array} samples - Time domain samples
+   * @param {function} callback - Edits the interleaved complex half-spectrum
+   *   (fftSize / 2 + 1 bins) of each frame in place; receives the frame index too
+   * @returns {Float32Array} Resynthesized samples, as long as the input
+   */
+  process(samples, callback) {
+    this.checkSynthesis(this.center);
+
+    const half = this.fftSize / 2;
+    const fullLength = (this.frameCount(samples.length) - 1) * this.hopSize + this.fftSize;
+    const output = new Float64Array(fullLength);
+    const windowSum = new Float64Array(fullLength);
+    const timeData = this.complexBuffer;
+
+    this.forEachFrame(samples, (spectrum, frame) => {
+      callback(spectrum, frame);
+
+      // Mirror for negative frequencies (except DC and Nyquist)
+      for (let i = 1; i < half; i++) {
+        spectrum[2 * (this.fftSize - i)] = spectrum[2 * i];
+        spectrum[2 * (this.fftSize - i) + 1] = -spectrum[2 * i + 1]; // Conjugate
+      }
+
+      this.fft.inverseTransform(timeData, spectrum);
+      this.overlapAdd(output, windowSum, timeData, frame * this.hopSize);
+    });
+
+    return this.normalizeOverlap(output, windowSum, this.center, samples.length);
+  }
+
+  /**
+   * Weighted overlap-add of one inverse-transformed frame, accumulating the
+   * squared window for normalization
+   */
+  overlapAdd(output, windowSum, timeData, startSample) {
+    const window = this.getWindow();
+    for (let i = 0; i < this.fftSize; i++) {
+      output[startSample + i] += timeData[2 * i] * window[i];
+      windowSum[startSample + i] += window[i] * window[i];
+    }
+  }
+
+  /**
+   * Normalize an overlap-added signal and strip the centre padding
+   * @returns {Float32Array} Samples
+   */
+  normalizeOverlap(output, windowSum, center, length) {
+    // Dividing by the summed squared window makes analysis followed by
+    // synthesis an identity wherever that sum is above zero, which
+    // checkSynthesis ensures. Modified spectra also come back without amplitude
+    // ripple only when the sum is constant (COLA), e.g. Hann at a quarter
+    // frame hop or sqrt-Hann at half a frame
+    const pad = center ? this.fftSize / 2 : 0;
+    const result = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      const index = i + pad;
+      if (index < output.length && windowSum[index] > MIN_WINDOW_SUM) {
+        result[i] = output[index] / windowSum[index];
       }
     }
-    
-    return output;
+
+    return result;
   }
-  
+
   performInverseFFT(real, imag) {
-    // Simplified inverse FFT implementation
-    const n = real.length;
+    // Inverse FFT of a single full complex spectrum, returning the real part
+    const n = this.fftSize;
+    const spectrum = this.complexBuffer;
+    for (let i = 0; i < n; i++) {
+      spectrum[2 * i] = real[i];
+      spectrum[2 * i + 1] = imag[i];
+    }
+
+    const output = this.spectrumBuffer;
+    this.fft.inverseTransform(output, spectrum);
+
     const result = new Float32Array(n);
-    
-    // Perform inverse FFT (very simplified)
-    // This is just a placeholder - in a real implementation we would use a proper IFFT algorithm
     for (let i = 0; i < n; i++) {
-      for (let j = 0; j < n; j++) {
-        const angle = 2 * Math.PI * i * j / n;
-        result[i] += real[j] * Math.cos(angle) - imag[j] * Math.sin(angle);
-      }
-      result[i] /= n;
+      result[i] = output[2 * i];
     }
-    
+
     return result;
   }
 }
 
-module.exports = { Spectrogram };
\ No newline at end of file
+Spectrogram.WINDOW_TYPES = WINDOW_TYPES;
+
+module.exports = { Spectrogram, besselI0 };
@@ -0,0 +1,118 @@
+/**
+ * Peak envelope follower with separate attack and release times. Also used by
+ * the preprocessor for transient detection and dynamics.
+ * @param {Float32Array} levels - Rectified samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @param {number} attack - Attack time in seconds
+ * @param {number} release - Release time in seconds
+ * @returns {Float32Array} Envelope
+ */
+function followEnvelope(levels, sampleRate, attack, release) {
+  const attackCoeff = Math.exp(-1 / (attack * sampleRate));
+  const releaseCoeff = Math.exp(-1 / (release * sampleRate));
+  const output = new Float32Array(levels.length);
+  let value = 0;
+  for (let i = 0; i < levels.length; i++) {
+    const coeff = levels[i] > value ? attackCoeff : releaseCoeff;
+    value = coeff * value + (1 - coeff) * levels[i];
+    output[i] = value;
+  }
+  return output;
+}
+
+/**
+ * TransientShaper restores attacks that lossy encoding smeared and dulled.
+ * A fast envelope rising above a slow one marks an attack; the gain rises
+ * with the difference, up to a maximum boost, and settles back to unity as
+ * the slow envelope catches up. All channels share one gain curve.
+ */
+class TransientShaper {
+  constructor(options = {}) {
+    this.options = {
+      amount: 0.5, // 0 (no change) to 1 (attacks boosted by up to maxBoostDb)
+      maxBoostDb: 6, // Boost at full amount on the sharpest attacks
+      sensitivityDb: 9, // Fast envelope rise over the slow one that earns the full boost
+      fastAttack: 0.001, // Seconds
+      fastRelease: 0.01,
+      slowAttack: 0.02,
+      slowRelease: 0.2,
+      gainSmoothing: 0.001, // Seconds; keeps gain changes from clicking
+      ...options
+    };
+
+    const { amount } = this.options;
+    if (!(amount >= 0 && amount <= 1)) {
+      throw new Error(`Transient shaper amount must be between 0 and 1, got ${amount}`);
+    }
+  }
+
+  /**
+   * Boost attacks in every channel, in place
+   * @param {Array<Float32Array>} channels - Per-channel samples, modified in place
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} { amount, transients, maxBoostDb } with maxBoostDb the
+   *   largest boost actually applied; channels without samples are left as they are
+   */
+  process(channels, sampleRate) {
+    const { amount, sensitivityDb } = this.options;
+    if (channels.length === 0 || channels[0].length === 0) {
+      return { amount, transients: 0, maxBoostDb: 0 };
+    }
+    const length = channels[0].length;
+
+    // Linked level: the loudest channel at each sample
+    const levels = new Float32Array(length);
+    let peak = 0;
+    for (const samples of channels) {
+      for (let i = 0; i < length; i++) {
+        const level = Math.abs(samples[i]);
+        if (level > levels[i]) levels[i] = level;
+        if (level > peak) peak = level;
+      }
+    }
+
+    const fast = followEnvelope(levels, sampleRate, this.options.fastAttack, this.options.fastRelease);
+    const slow = followEnvelope(levels, sampleRate, this.options.slowAttack, this.options.slowRelease);
+
+    // Ignore "attacks" in material near silence
+    const minimumLevel = peak * 0.01;
+    const fullBoostDb = amount * this.options.maxBoostDb;
+    const smoothing = Math.exp(-1 / (this.options.gainSmoothing * sampleRate));
+    const gain = new Float32Array(length);
+    let boostDb = 0;
+    let maxBoostDb = 0;
+    let transients = 0;
+    let inTransient = false;
+
+    for (let i = 0; i < length; i++) {
+      let targetDb = 0;
+      if (fast[i] > minimumLevel && fast[i] > slow[i]) {
+        const riseDb = 20 * Math.log10(fast[i] / Math.max(slow[i], 1e-9));
+        targetDb = fullBoostDb * Math.min(1, riseDb / sensitivityDb);
+      }
+      boostDb = smoothing * boostDb + (1 - smoothing) * targetDb;
+      gain[i] = Math.pow(10, boostDb / 20);
+      if (boostDb > maxBoostDb) maxBoostDb = boostDb;
+
+      // Count an attack each time the boost passes 1 dB, rearming below 0.5 dB
+      if (!inTransient && boostDb > 1) {
+        transients++;
+        inTransient = true;
+      } else if (inTransient && boostDb < 0.5) {
+        inTransient = false;
+      }
+    }
+
+    for (const samples of channels) {
+      for (let i = 0; i < length; i++) {
+        samples[i] *= gain[i];
+      }
+    }
+
+    return { amount, transients, maxBoostDb };
+  }
+}
+
+TransientShaper.followEnvelope = followEnvelope;
+
+module.exports = { TransientShaper };
@@ -0,0 +1,121 @@
+const { LoudnessMeter } = require('./loudnessMeter');
+
+/**
+ * TruePeakLimiter keeps oversampled (inter-sample) peaks under a ceiling.
+ * The whole signal is available, so the gain curve looks ahead: it starts
+ * falling one look-ahead time before each peak, reaches the required
+ * reduction exactly at the peak and recovers with an exponential release.
+ * All channels share one gain curve so the stereo image stays put.
+ */
+class TruePeakLimiter {
+  constructor(options = {}) {
+    this.options = {
+      ceilingDb: -1, // dBTP no inter-sample peak may exceed
+      lookahead: 0.005, // Seconds over which the gain ramps down ahead of a peak
+      release: 0.05, // Seconds for the gain to recover most of the way
+      maxPasses: 3, // Extra passes catch peaks the gain curve itself reshaped
+      ...options
+    };
+
+    this.loudnessMeter = new LoudnessMeter();
+  }
+
+  /**
+   * Limit channels in place
+   * @param {Array<Float32Array>} channels - Per-channel samples, modified in place
+   * @param {number} sampleRate - Sample rate of the samples
+   * @returns {Object} { ceilingDb, maxReductionDb, limitedSamples }
+   */
+  process(channels, sampleRate) {
+    const ceiling = Math.pow(10, this.options.ceilingDb / 20);
+    let minGain = 1;
+    let limitedSamples = 0;
+
+    for (let pass = 0; pass < this.options.maxPasses; pass++) {
+      const envelope = new Float32Array(channels[0].length);
+      for (const samples of channels) {
+        this.loudnessMeter.truePeak(samples, sampleRate, envelope);
+      }
+
+      const gain = this.gainCurve(envelope, ceiling, sampleRate);
+      if (!gain) break;
+
+      // The release only approaches unity, so count reductions of 0.01 dB or more
+      let passLimited = 0;
+      for (let i = 0; i < gain.length; i++) {
+        if (gain[i] < 0.99885) passLimited++;
+        if (gain[i] < minGain) minGain = gain[i];
+      }
+      if (pass === 0) limitedSamples = passLimited;
+
+      for (const samples of channels) {
+        for (let i = 0; i < samples.length; i++) {
+          samples[i] *= gain[i];
+        }
+      }
+    }
+
+    return {
+      ceilingDb: this.options.ceilingDb,
+      maxReductionDb: -20 * Math.log10(minGain),
+      limitedSamples
+    };
+  }
+
+  /**
+   * Gain needed to hold the envelope under the ceiling, smoothed so it never
+   * steps: minimum over the look-ahead window, instant-attack release, then
+   * a moving average as long as the look-ahead
+   * @returns {Float32Array|null} Gain per sample, or null when nothing exceeds the ceiling
+   */
+  gainCurve(envelope, ceiling, sampleRate) {
+    const length = envelope.length;
+    const required = new Float32Array(length);
+    let over = false;
+    for (let i = 0; i < length; i++) {
+      // Aim a hair under the ceiling so float rounding cannot tip a peak over
+      required[i] = envelope[i] > ceiling ? (ceiling * 0.999) / envelope[i] : 1;
+      if (required[i] < 1) over = true;
+    }
+    if (!over) return null;
+
+    const window = Math.max(1, Math.round(this.options.lookahead * sampleRate));
+
+    // Sliding minimum over [i, i + window) with a monotonic deque
+    const held = new Float32Array(length);
+    const deque = new Int32Array(length);
+    let head = 0;
+    let tail = 0;
+    let next = 0;
+    for (let i = 0; i < length; i++) {
+      while (next < Math.min(length, i + window)) {
+        while (tail > head && required[deque[tail - 1]] >= required[next]) tail--;
+        deque[tail++] = next++;
+      }
+      while (deque[head] < i) head++;
+      held[i] = required[deque[head]];
+    }
+
+    // Instant attack, exponential release
+    const releaseCoeff = Math.exp(-1 / (this.options.release * sampleRate));
+    let value = 1;
+    for (let i = 0; i < length; i++) {
+      value = held[i] < value ? held[i] : releaseCoeff * value + (1 - releaseCoeff) * held[i];
+      held[i] = value;
+    }
+
+    // Moving average over the window ending at each sample; the held minimum
+    // covers that whole window, so the average still meets every peak.
+    // Before the first sample the gain is taken to be already at held[0].
+    const gain = new Float32Array(length);
+    let sum = window * held[0];
+    for (let i = 0; i < length; i++) {
+      sum += held[i] - (i >= window ? held[i - window] : held[0]);
+      gain[i] = Math.min(1, sum / window);
+    }
+
+    return gain;
+  }
+}
+
+module.exports = { TruePeakLimiter };
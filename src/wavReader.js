@@ -0,0 +1,314 @@
+const fs = require('fs').promises;
+
+// Format tags from the WAVE_FORMAT_* registry
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Size fields set to this value defer to the ds64 chunk in RF64/BW64 files
+const RF64_SIZE_PLACEHOLDER = 0xFFFFFFFF;
+
+/**
+ * WavReader parses RIFF/RF64 WAVE files by walking their chunks and decodes
+ * integer PCM (8/16/24/32-bit) and IEEE float (32/64-bit) samples into
+ * per-channel Float32Arrays in [-1, 1]
+ */
+class WavReader {
+  constructor(options = {}) {
+    this.options = {
+      readBlockSize: 1 << 20, // Bytes per read when streaming sample data from disk
+      ...options
+    };
+  }
+
+  /**
+   * Decode a complete WAV file held in memory
+   * @param {Buffer} buffer - WAV file contents
+   * @returns {Object} Format metadata and per-channel samples
+   */
+  decode(buffer) {
+    const header = this.parseHeader(buffer, buffer.length);
+    const { format, dataOffset, dataSize } = header;
+    const numFrames = Math.floor(dataSize / format.blockAlign);
+    const channels = this.createChannels(format.numChannels, numFrames);
+
+    this.decodeFrames(buffer, dataOffset, numFrames, format, channels, 0);
+
+    return this.createResult(header, channels, numFrames);
+  }
+
+  /**
+   * Read and decode a WAV file from disk, streaming the sample data in
+   * blocks so large and RF64 files never need a second full-size copy
+   * @param {string} filePath - Path to WAV file
+   * @returns {Object} Format metadata and per-channel samples
+   */
+  async readFile(filePath) {
+    const handle = await fs.open(filePath, 'r');
+
+    try {
+      const { size: fileSize } = await handle.stat();
+
+      // Read enough of the file to cover the chunks in front of the data;
+      // grow the window if metadata chunks are unusually large
+      let headerSize = Math.min(fileSize, 64 * 1024);
+      let header;
+      for (;;) {
+        const headerBuffer = Buffer.alloc(headerSize);
+        await handle.read(headerBuffer, 0, headerSize, 0);
+
+        try {
+          header = this.parseHeader(headerBuffer, fileSize);
+          break;
+        } catch (err) {
+          if (!err.needsMoreData || headerSize >= fileSize) throw err;
+          headerSize = Math.min(fileSize, headerSize * 4);
+        }
+      }
+
+      const { format, dataOffset, dataSize } = header;
+      const numFrames = Math.floor(dataSize / format.blockAlign);
+      const channels = this.createChannels(format.numChannels, numFrames);
+
+      const framesPerBlock = Math.max(1, Math.floor(this.options.readBlockSize / format.blockAlign));
+      const block = Buffer.alloc(framesPerBlock * format.blockAlign);
+
+      for (let frame = 0; frame < numFrames; frame += framesPerBlock) {
+        const count = Math.min(framesPerBlock, numFrames - frame);
+        const bytes = count * format.blockAlign;
+        const { bytesRead } = await handle.read(block, 0, bytes, dataOffset + frame * format.blockAlign);
+        const framesRead = Math.floor(bytesRead / format.blockAlign);
+
+        this.decodeFrames(block, 0, framesRead, format, channels, frame);
+        if (framesRead < count) break;
+      }
+
+      return this.createResult(header, channels, numFrames);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Walk the RIFF chunks and locate the format and data chunks
+   * @param {Buffer} buffer - Start of the file (at least up to the data chunk header)
+   * @param {number} fileSize - Total file size in bytes
+   * @returns {Object} { container, format, dataOffset, dataSize, chunks }
+   */
+  parseHeader(buffer, fileSize) {
+    if (buffer.length < 12) {
+      throw new Error('Invalid WAV file: too short for a RIFF header');
+    }
+
+    const container = buffer.toString('ascii', 0, 4);
+    if (container === 'RIFX') {
+      throw new Error('Unsupported WAV file: big-endian RIFX files are not supported');
+    }
+    if (!['RIFF', 'RF64', 'BW64'].includes(container)) {
+      throw new Error(`Invalid WAV file: expected RIFF header, found "${container}"`);
+    }
+    if (buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error('Invalid WAV file: missing WAVE identifier');
+    }
+
+    const isRF64 = container !== 'RIFF';
+    let ds64DataSize = null;
+    let format = null;
+    const chunks = [];
+    let offset = 12;
+
+    while (offset + 8 <= fileSize) {
+      if (offset + 8 > buffer.length) {
+        throw this.needsMoreData();
+      }
+
+      const id = buffer.toString('ascii', offset, offset + 4);
+      let size = buffer.readUInt32LE(offset + 4);
+      const bodyOffset = offset + 8;
+      chunks.push(id.trim());
+
+      if (id === 'ds64') {
+        if (bodyOffset + 24 > buffer.length) throw this.needsMoreData();
+        // 64-bit RIFF size, data size and sample count
+        ds64DataSize = this.readUInt64LE(buffer, bodyOffset + 8);
+      } else if (id === 'fmt ') {
+        if (bodyOffset + size > buffer.length) throw this.needsMoreData();
+        format = this.parseFormat(buffer, bodyOffset, size);
+      } else if (id === 'data') {
+        if (!format) {
+          throw new Error('Invalid WAV file: data chunk found before fmt chunk');
+        }
+
+        if (isRF64 && size === RF64_SIZE_PLACEHOLDER && ds64DataSize !== null) {
+          size = ds64DataSize;
+        }
+
+        // Streamed writers leave the size at 0 or -1; truncated files
+        // claim more than they hold. Either way use what is actually there.
+        const available = fileSize - bodyOffset;
+        if (size === 0 || size === RF64_SIZE_PLACEHOLDER || size > available) {
+          size = available;
+        }
+
+        return {
+          container,
+          format,
+          dataOffset: bodyOffset,
+          dataSize: size,
+          chunks
+        };
+      }
+
+      // Chunks are word aligned
+      offset = bodyOffset + size + (size % 2);
+    }
+
+    throw new Error(format
+      ? 'Invalid WAV file: no data chunk found'
+      : 'Invalid WAV file: no fmt chunk found');
+  }
+
+  /**
+   * Parse the fmt chunk, resolving WAVE_FORMAT_EXTENSIBLE to its sub-format
+   * @returns {Object} Format description
+   */
+  parseFormat(buffer, offset, size) {
+    if (size < 16) {
+      throw new Error('Invalid WAV file: fmt chunk is too short');
+    }
+
+    const formatTag = buffer.readUInt16LE(offset);
+    const numChannels = buffer.readUInt16LE(offset + 2);
+    const sampleRate = buffer.readUInt32LE(offset + 4);
+    const blockAlign = buffer.readUInt16LE(offset + 12);
+    const bitsPerSample = buffer.readUInt16LE(offset + 14);
+
+    let audioFormat = formatTag;
+    let validBitsPerSample = bitsPerSample;
+    let channelMask = null;
+
+    if (formatTag === WAVE_FORMAT_EXTENSIBLE) {
+      if (size < 40) {
+        throw new Error('Invalid WAV file: extensible fmt chunk is too short');
+      }
+      validBitsPerSample = buffer.readUInt16LE(offset + 18) || bitsPerSample;
+      channelMask = buffer.readUInt32LE(offset + 20);
+      // The sub-format GUID starts with the plain format tag
+      audioFormat = buffer.readUInt16LE(offset + 24);
+    }
+
+    let sampleFormat;
+    if (audioFormat === WAVE_FORMAT_PCM && [8, 16, 24, 32].includes(bitsPerSample)) {
+      sampleFormat = 'int';
+    } else if (audioFormat === WAVE_FORMAT_IEEE_FLOAT && [32, 64].includes(bitsPerSample)) {
+      sampleFormat = 'float';
+    } else {
+      throw new Error(`Unsupported WAV format: tag 0x${audioFormat.toString(16)} with ${bitsPerSample} bits per sample`);
+    }
+
+    if (numChannels === 0 || sampleRate === 0) {
+      throw new Error('Invalid WAV file: zero channels or sample rate');
+    }
+
+    const bytesPerSample = bitsPerSample / 8;
+
+    return {
+      formatTag,
+      sampleFormat,
+      numChannels,
+      sampleRate,
+      bitsPerSample,
+      validBitsPerSample,
+      bytesPerSample,
+      // Some writers leave blockAlign unset
+      blockAlign: blockAlign || bytesPerSample * numChannels,
+      channelMask
+    };
+  }
+
+  createChannels(numChannels, numFrames) {
+    const channels = [];
+    for (let channel = 0; channel < numChannels; channel++) {
+      channels.push(new Float32Array(numFrames));
+    }
+    return channels;
+  }
+
+  /**
+   * Decode interleaved frames into the channel arrays
+   * @param {Buffer} buffer - Source bytes
+   * @param {number} offset - Byte offset of the first frame in buffer
+   * @param {number} numFrames - Number of frames to decode
+   * @param {Object} format - Format from parseFormat
+   * @param {Array<Float32Array>} channels - Destination arrays
+   * @param {number} startFrame - Destination index of the first frame
+   */
+  decodeFrames(buffer, offset, numFrames, format, channels, startFrame) {
+    const { numChannels, bitsPerSample, bytesPerSample, blockAlign, sampleFormat } = format;
+
+    for (let channel = 0; channel < numChannels; channel++) {
+      const output = channels[channel];
+      let position = offset + channel * bytesPerSample;
+
+      if (sampleFormat === 'float') {
+        if (bitsPerSample === 32) {
+          for (let i = 0; i < numFrames; i++, position += blockAlign) {
+            output[startFrame + i] = buffer.readFloatLE(position);
+          }
+        } else {
+          for (let i = 0; i < numFrames; i++, position += blockAlign) {
+            output[startFrame + i] = buffer.readDoubleLE(position);
+          }
+        }
+      } else if (bitsPerSample === 8) {
+        // 8-bit WAV is unsigned with a 128 midpoint
+        for (let i = 0; i < numFrames; i++, position += blockAlign) {
+          output[startFrame + i] = (buffer[position] - 128) / 128;
+        }
+      } else if (bitsPerSample === 16) {
+        for (let i = 0; i < numFrames; i++, position += blockAlign) {
+          output[startFrame + i] = buffer.readInt16LE(position) / 32768;
+        }
+      } else if (bitsPerSample === 24) {
+        for (let i = 0; i < numFrames; i++, position += blockAlign) {
+          output[startFrame + i] = buffer.readIntLE(position, 3) / 8388608;
+        }
+      } else {
+        for (let i = 0; i < numFrames; i++, position += blockAlign) {
+          output[startFrame + i] = buffer.readInt32LE(position) / 2147483648;
+        }
+      }
+    }
+  }
+
+  createResult(header, channels, numFrames) {
+    const { format } = header;
+    return {
+      sampleRate: format.sampleRate,
+      numChannels: format.numChannels,
+      bitsPerSample: format.bitsPerSample,
+      validBitsPerSample: format.validBitsPerSample,
+      sampleFormat: format.sampleFormat,
+      formatTag: format.formatTag,
+      channelMask: format.channelMask,
+      container: header.container,
+      chunks: header.chunks,
+      numFrames,
+      duration: numFrames / format.sampleRate,
+      channels
+    };
+  }
+
+  readUInt64LE(buffer, offset) {
+    // Exact up to 2^53, far beyond any real audio file
+    return buffer.readUInt32LE(offset) + buffer.readUInt32LE(offset + 4) * 0x100000000;
+  }
+
+  needsMoreData() {
+    const err = new Error('Invalid WAV file: header is truncated');
+    err.needsMoreData = true;
+    return err;
+  }
+}
+
+module.exports = { WavReader };
@@ -0,0 +1,209 @@
+const fs = require('fs').promises;
+const { Ditherer } = require('./ditherer');
+
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+// Bit depths as the CLI and options spell them: 32 is integer, '32f' is float
+const BIT_DEPTHS = {
+  '16': { bitsPerSample: 16, sampleFormat: 'int' },
+  '24': { bitsPerSample: 24, sampleFormat: 'int' },
+  '32': { bitsPerSample: 32, sampleFormat: 'int' },
+  '32f': { bitsPerSample: 32, sampleFormat: 'float' }
+};
+
+const CLIP_MODES = ['soft', 'clip', 'normalize', 'none'];
+
+/**
+ * WavWriter serializes per-channel Float32Arrays into WAV files as 16/24/32-bit
+ * integer PCM or 32-bit float, with optional protection against clipping
+ */
+class WavWriter {
+  constructor(options = {}) {
+    this.options = {
+      bitDepth: '24',
+      clipProtection: 'soft', // 'soft' knee, hard 'clip', 'normalize' peak, or 'none'
+      softClipThreshold: 0.9, // Level where the soft knee starts
+      dither: 'none', // Dither type for integer formats, see Ditherer.TYPES
+      ...options
+    };
+  }
+
+  /**
+   * Resolve a bit depth option ('16', '24', '32', '32f' or the numbers 16/24/32)
+   * @param {string|number} bitDepth - Requested bit depth
+   * @returns {Object} { bitsPerSample, sampleFormat }
+   */
+  resolveBitDepth(bitDepth) {
+    const format = BIT_DEPTHS[String(bitDepth)];
+    if (!format) {
+      throw new Error(`Unsupported bit depth: ${bitDepth} (expected one of ${Object.keys(BIT_DEPTHS).join(', ')})`);
+    }
+    return format;
+  }
+
+  /**
+   * Encode channel samples to a WAV buffer
+   * @param {Array<Float32Array>} channels - Per-channel samples, nominally in [-1, 1]
+   * @param {Object} options - { sampleRate, bitDepth, clipProtection, dither }
+   * @returns {Object} { buffer, peak, clippedSamples, gain }
+   */
+  encode(channels, options = {}) {
+    const settings = { ...this.options, ...options };
+    const { sampleRate } = settings;
+    const { bitsPerSample, sampleFormat } = this.resolveBitDepth(settings.bitDepth);
+
+    if (!channels || channels.length === 0) {
+      throw new Error('Cannot encode WAV: no channels');
+    }
+    if (!sampleRate || sampleRate <= 0) {
+      throw new Error(`Cannot encode WAV: invalid sample rate ${sampleRate}`);
+    }
+    if (!CLIP_MODES.includes(settings.clipProtection)) {
+      throw new Error(`Unknown clip protection mode: ${settings.clipProtection} (expected one of ${CLIP_MODES.join(', ')})`);
+    }
+
+    const numChannels = channels.length;
+    const numFrames = channels[0].length;
+    const bytesPerSample = bitsPerSample / 8;
+    const blockAlign = bytesPerSample * numChannels;
+    const dataSize = numFrames * blockAlign;
+
+    // More than two channels need the extensible header to carry a channel mask
+    const extensible = numChannels > 2;
+    const fmtSize = extensible ? 40 : 16;
+    const headerSize = 12 + 8 + fmtSize + 8;
+
+    if (headerSize - 8 + dataSize > 0xFFFFFFFF) {
+      throw new Error('Cannot encode WAV: audio exceeds the 4 GB RIFF limit');
+    }
+
+    const buffer = Buffer.alloc(headerSize + dataSize);
+    const formatTag = sampleFormat === 'float' ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM;
+
+    // RIFF header
+    buffer.write('RIFF', 0, 'ascii');
+    buffer.writeUInt32LE(headerSize - 8 + dataSize, 4);
+    buffer.write('WAVE', 8, 'ascii');
+
+    // fmt chunk
+    buffer.write('fmt ', 12, 'ascii');
+    buffer.writeUInt32LE(fmtSize, 16);
+    buffer.writeUInt16LE(extensible ? WAVE_FORMAT_EXTENSIBLE : formatTag, 20);
+    buffer.writeUInt16LE(numChannels, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * blockAlign, 28);
+    buffer.writeUInt16LE(blockAlign, 32);
+    buffer.writeUInt16LE(bitsPerSample, 34);
+
+    if (extensible) {
+      buffer.writeUInt16LE(22, 36); // Extension size
+      buffer.writeUInt16LE(bitsPerSample, 38); // Valid bits per sample
+      buffer.writeUInt32LE(numChannels >= 32 ? 0xFFFFFFFF : (2 ** numChannels) - 1, 40);
+      // Sub-format GUID: format tag followed by the standard KSDATAFORMAT suffix
+      buffer.writeUInt16LE(formatTag, 44);
+      Buffer.from([0x00, 0x00, 0x00, 0x00, 0x10, 0x00, 0x80, 0x00, 0x00, 0xAA, 0x00, 0x38, 0x9B, 0x71])
+        .copy(buffer, 46);
+    }
+
+    // data chunk
+    const dataOffset = headerSize - 8;
+    buffer.write('data', dataOffset, 'ascii');
+    buffer.writeUInt32LE(dataSize, dataOffset + 4);
+
+    let peak = 0;
+    for (const channel of channels) {
+      for (let i = 0; i < numFrames; i++) {
+        const value = Math.abs(channel[i]);
+        if (value > peak) peak = value;
+      }
+    }
+
+    const gain = settings.clipProtection === 'normalize' && peak > 1 ? 1 / peak : 1;
+    const maxInt = Math.pow(2, bitsPerSample - 1);
+    const ditherer = new Ditherer({ type: settings.dither });
+    let clippedSamples = 0;
+
+    for (let channel = 0; channel < numChannels; channel++) {
+      const samples = channels[channel];
+      const quantize = ditherer.createQuantizer(bitsPerSample, channel);
+      let position = headerSize + channel * bytesPerSample;
+
+      for (let i = 0; i < numFrames; i++, position += blockAlign) {
+        let sample = this.protect(samples[i] * gain, settings);
+
+        // Count samples hard-limited at full scale, whether by 'clip' mode or
+        // because integer formats cannot represent anything beyond it
+        if (settings.clipProtection === 'clip' && Math.abs(samples[i] * gain) > 1) {
+          clippedSamples++;
+        }
+
+        if (sampleFormat === 'float') {
+          buffer.writeFloatLE(sample, position);
+          continue;
+        }
+
+        if (sample > 1 || sample < -1) {
+          clippedSamples++;
+          sample = sample > 1 ? 1 : -1;
+        }
+
+        const value = Math.max(-maxInt, Math.min(maxInt - 1, quantize(sample)));
+        if (bitsPerSample === 16) {
+          buffer.writeInt16LE(value, position);
+        } else if (bitsPerSample === 24) {
+          buffer.writeIntLE(value, position, 3);
+        } else {
+          buffer.writeInt32LE(value, position);
+        }
+      }
+    }
+
+    return {
+      buffer,
+      peak,
+      gain,
+      clippedSamples
+    };
+  }
+
+  /**
+   * Apply the configured clipping protection to one sample
+   */
+  protect(sample, settings) {
+    if (settings.clipProtection !== 'soft') {
+      return settings.clipProtection === 'clip' ? Math.max(-1, Math.min(1, sample)) : sample;
+    }
+
+    // Soft knee: untouched below the threshold, then a tanh curve that
+    // approaches full scale without ever reaching it
+    const threshold = settings.softClipThreshold;
+    const magnitude = Math.abs(sample);
+    if (magnitude <= threshold) {
+      return sample;
+    }
+
+    const headroom = 1 - threshold;
+    const shaped = threshold + headroom * Math.tanh((magnitude - threshold) / headroom);
+    return sample < 0 ? -shaped : shaped;
+  }
+
+  /**
+   * Encode channel samples and write them to a WAV file
+   * @param {string} filePath - Destination path
+   * @param {Array<Float32Array>} channels - Per-channel samples
+   * @param {Object} options - { sampleRate, bitDepth, clipProtection, dither }
+   * @returns {Object} Encoding statistics
+   */
+  async writeFile(filePath, channels, options = {}) {
+    const { buffer, ...stats } = this.encode(channels, options);
+    await fs.writeFile(filePath, buffer);
+    return stats;
+  }
+}
+
+WavWriter.BIT_DEPTHS = Object.keys(BIT_DEPTHS);
+WavWriter.CLIP_MODES = CLIP_MODES;
+
+module.exports = { WavWriter };
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { LoudnessMeter } = require('../src/loudnessMeter');
+
+function tone(frequency, amplitude, seconds, sampleRate) {
+  const samples = new Float32Array(Math.round(seconds * sampleRate));
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+  }
+  return samples;
+}
+
+// BS.1770 is calibrated so a full-scale 1 kHz sine in one channel reads
+// -3.01 LUFS; an amplitude of 0.1 therefore reads -23 LUFS
+for (const sampleRate of [44100, 48000, 96000]) {
+  test(`a -23 LUFS 1 kHz tone measures -23 LUFS at ${sampleRate} Hz`, () => {
+    const result = new LoudnessMeter().measure([tone(1000, 0.1, 10, sampleRate)], sampleRate);
+
+    assert.ok(Math.abs(result.integratedLufs - -23) < 0.1, `measured ${result.integratedLufs} LUFS`);
+    assert.ok(Math.abs(result.truePeakDb - -20) < 0.1, `measured ${result.truePeakDb} dBTP`);
+    assert.ok(result.loudnessRangeLu < 0.1);
+  });
+}
+
+test('identical stereo channels read 3 dB louder than one', () => {
+  const samples = tone(1000, 0.1, 10, 48000);
+  const meter = new LoudnessMeter();
+  const mono = meter.measure([samples], 48000).integratedLufs;
+  const stereo = meter.measure([samples, samples], 48000).integratedLufs;
+
+  assert.ok(Math.abs(stereo - mono - 10 * Math.log10(2)) < 0.01);
+});
+
+test('silence has no integrated loudness', () => {
+  const result = new LoudnessMeter().measure([new Float32Array(48000 * 5)], 48000);
+  assert.strictEqual(result.integratedLufs, -Infinity);
+});
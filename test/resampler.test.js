@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Resampler } = require('../src/resampler');
+
+function tone(frequency, length, sampleRate) {
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    samples[i] = 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate);
+  }
+  return samples;
+}
+
+// Compare away from the edges, where the kernel runs past the signal
+function maxErrorAgainstTone(samples, frequency, sampleRate, margin) {
+  const reference = tone(frequency, samples.length, sampleRate);
+  let error = 0;
+  for (let i = margin; i < samples.length - margin; i++) {
+    error = Math.max(error, Math.abs(samples[i] - reference[i]));
+  }
+  return error;
+}
+
+// 44100 -> 44101 needs more phases than maxPhases and takes the interpolated path
+for (const [fromRate, toRate] of [[44100, 48000], [48000, 44100], [44100, 96000], [44100, 44101]]) {
+  test(`a 1 kHz tone resampled ${fromRate} -> ${toRate} Hz stays a 1 kHz tone`, () => {
+    const output = new Resampler().resample(tone(1000, fromRate, fromRate), fromRate, toRate);
+
+    assert.strictEqual(output.length, toRate);
+    assert.ok(maxErrorAgainstTone(output, 1000, toRate, 200) < 1e-4);
+  });
+}
+
+test('downsampling removes content above the new Nyquist frequency', () => {
+  const output = new Resampler().resample(tone(30000, 96000, 96000), 96000, 44100);
+
+  let peak = 0;
+  for (let i = 200; i < output.length - 200; i++) {
+    peak = Math.max(peak, Math.abs(output[i]));
+  }
+  assert.ok(20 * Math.log10(peak / 0.5) < -80, `alias at ${20 * Math.log10(peak / 0.5)} dB`);
+});
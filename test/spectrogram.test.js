@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Spectrogram } = require('../src/spectrogram');
+
+function noise(length, seed = 1) {
+  // Deterministic LCG so failures reproduce
+  const samples = new Float32Array(length);
+  let state = seed;
+  for (let i = 0; i < length; i++) {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    samples[i] = state / 0x100000000 * 2 - 1;
+  }
+  return samples;
+}
+
+function maxError(a, b) {
+  let error = 0;
+  for (let i = 0; i < a.length; i++) {
+    error = Math.max(error, Math.abs(a[i] - b[i]));
+  }
+  return error;
+}
+
+const identityCases = [
+  { window: 'hann' },
+  { window: 'sqrt-hann', fftSize: 1024, hopSize: 512 },
+  { window: 'hamming', center: false },
+  { window: 'kaiser', center: false },
+  { window: 'blackman-harris', padMode: 'constant' }
+];
+
+for (const options of identityCases) {
+  test(`STFT round trip is the identity for ${JSON.stringify(options)}`, () => {
+    const spectrogram = new Spectrogram(options);
+    const samples = noise(10007);
+    const output = spectrogram.toTimeDomain(spectrogram.fromTimeDomain(samples));
+
+    assert.strictEqual(output.length, samples.length);
+    assert.ok(maxError(output, samples) < 1e-4, `max error ${maxError(output, samples)}`);
+  });
+}
+
+test('process with an untouched spectrum returns the input', () => {
+  const spectrogram = new Spectrogram({ fftSize: 512, hopSize: 128 });
+  const samples = noise(5000, 7);
+  const output = spectrogram.process(samples, () => {});
+
+  assert.strictEqual(output.length, samples.length);
+  assert.ok(maxError(output, samples) < 1e-5);
+});
+
+test('a bin-centred sinusoid peaks in its own bin', () => {
+  const spectrogram = new Spectrogram({ fftSize: 1024, hopSize: 256 });
+  const samples = new Float32Array(8192).map((_, i) => Math.sin(2 * Math.PI * 64 * i / 1024));
+  const { magnitude, freqBins, timeFrames } = spectrogram.fromTimeDomain(samples);
+
+  const frame = Math.floor(timeFrames / 2) * freqBins;
+  let peak = 0;
+  for (let bin = 1; bin < freqBins; bin++) {
+    if (magnitude[frame + bin] > magnitude[frame + peak]) peak = bin;
+  }
+  assert.strictEqual(peak, 64);
+});
+
+test('resynthesis rejects settings it cannot invert', () => {
+  const samples = noise(4096);
+
+  const uncentred = new Spectrogram({ window: 'hann', center: false });
+  assert.throws(() => uncentred.toTimeDomain(uncentred.fromTimeDomain(samples)), /center: true/);
+
+  const gapped = new Spectrogram({ window: 'hann', fftSize: 1024, hopSize: 1024 });
+  assert.throws(() => gapped.process(samples, () => {}), /smaller hop/);
+});
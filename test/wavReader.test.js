@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { WavReader } = require('../src/wavReader');
+const { WavWriter } = require('../src/wavWriter');
+
+function sineChannels(numChannels, numFrames, sampleRate) {
+  return Array.from({ length: numChannels }, (_, channel) => {
+    const samples = new Float32Array(numFrames);
+    for (let i = 0; i < numFrames; i++) {
+      samples[i] = 0.8 * Math.sin(2 * Math.PI * (440 + 110 * channel) * i / sampleRate);
+    }
+    return samples;
+  });
+}
+
+function maxError(a, b) {
+  let error = 0;
+  for (let i = 0; i < a.length; i++) {
+    error = Math.max(error, Math.abs(a[i] - b[i]));
+  }
+  return error;
+}
+
+// Insert a chunk between fmt and data, as taggers do with LIST/INFO
+function insertChunk(buffer, id, body) {
+  const dataOffset = buffer.indexOf('data', 12, 'ascii');
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'ascii');
+  header.writeUInt32LE(body.length, 4);
+  const padding = Buffer.alloc(body.length % 2);
+  const result = Buffer.concat([buffer.subarray(0, dataOffset), header, body, padding, buffer.subarray(dataOffset)]);
+  result.writeUInt32LE(result.length - 8, 4);
+  return result;
+}
+
+for (const [bitDepth, tolerance] of [['16', 2 / 32768], ['24', 2 / 8388608], ['32', 1e-7], ['32f', 0]]) {
+  test(`${bitDepth}-bit samples survive a write/read round trip`, () => {
+    const channels = sineChannels(2, 4800, 48000);
+    const { buffer } = new WavWriter().encode(channels, { sampleRate: 48000, bitDepth, dither: 'none' });
+    const decoded = new WavReader().decode(buffer);
+
+    assert.strictEqual(decoded.sampleRate, 48000);
+    assert.strictEqual(decoded.numChannels, 2);
+    assert.strictEqual(decoded.numFrames, 4800);
+    decoded.channels.forEach((samples, channel) => {
+      assert.ok(maxError(samples, channels[channel]) <= tolerance, `channel ${channel} differs by more than ${tolerance}`);
+    });
+  });
+}
+
+test('chunks between fmt and data are skipped', () => {
+  const channels = sineChannels(1, 1000, 44100);
+  const { buffer } = new WavWriter().encode(channels, { sampleRate: 44100, bitDepth: '32f' });
+  const tagged = insertChunk(buffer, 'LIST', Buffer.from('INFOISFT\x05\x00\x00\x00test\x00', 'binary'));
+  const decoded = new WavReader().decode(tagged);
+
+  assert.ok(decoded.chunks.includes('LIST'));
+  assert.strictEqual(maxError(decoded.channels[0], channels[0]), 0);
+});
+
+test('readFile streams the same samples as decode', async () => {
+  const channels = sineChannels(2, 100000, 44100);
+  const filePath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'wav-')), 'round-trip.wav');
+  try {
+    await new WavWriter().writeFile(filePath, channels, { sampleRate: 44100, bitDepth: '24', dither: 'none' });
+    const fromFile = await new WavReader().readFile(filePath);
+    const fromBuffer = new WavReader().decode(await fs.readFile(filePath));
+
+    assert.strictEqual(fromFile.numFrames, 100000);
+    fromFile.channels.forEach((samples, channel) => {
+      assert.strictEqual(maxError(samples, fromBuffer.channels[channel]), 0);
+    });
+  } finally {
+    await fs.rm(path.dirname(filePath), { recursive: true, force: true });
+  }
+});
@@ -3,6 +3,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const AudioUpscaler = require('./src/audioUpscaler');
+const { ContentAnalyzer } = require('./src/contentAnalyzer');
+const { ModelTrainer } = require('./src/modelTrainer');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -15,22 +17,29 @@ Neural Audio Upscaler Training Tool
 
 Usage:
   node train.js [options] <dataset-dir>
+  node train.js --classifier [options] <dataset-dir>
 
 Options:
+  --classifier            Train the content classifier instead of the upscaler models
   --epochs <number>       Number of training epochs (default: 10)
   --learning-rate <rate>  Learning rate (default: 0.001)
   --batch-size <size>     Batch size (default: 32)
+  --sample-rate <hz>      Rate to train the upscaler models at (default: 44100)
   --help                  Show this help message
 
 Examples:
   node train.js ./training_data
   node train.js --epochs 20 --learning-rate 0.0005 ./training_data
+  node train.js --classifier --epochs 50 ./classifier_data
 
 Dataset Directory Structure:
   The dataset directory should contain pairs of audio files:
   - low_quality/file1.wav and high_quality/file1.wav
   - low_quality/file2.mp3 and high_quality/file2.mp3
   - etc.
+
+  With --classifier, the dataset directory should contain labelled folders:
+  - voice/, music/ and ambient/ with example audio files of each type
 `);
   process.exit(0);
 };
@@ -45,16 +54,22 @@ let datasetDir = null;
 let epochs = 10;
 let learningRate = 0.001;
 let batchSize = 32;
+let sampleRate = 44100;
+let classifierMode = false;
 
 for (let i = 0; i < args.length; i++) {
   const arg = args[i];
   
-  if (arg === '--epochs' && i + 1 < args.length) {
+  if (arg === '--classifier') {
+    classifierMode = true;
+  } else if (arg === '--epochs' && i + 1 < args.length) {
     epochs = parseInt(args[++i]);
   } else if (arg === '--learning-rate' && i + 1 < args.length) {
     learningRate = parseFloat(args[++i]);
   } else if (arg === '--batch-size' && i + 1 < args.length) {
     batchSize = parseInt(args[++i]);
+  } else if (arg === '--sample-rate' && i + 1 < args.length) {
+    sampleRate = parseInt(args[++i]);
   } else if (!arg.startsWith('--')) {
     datasetDir = arg;
   }
@@ -65,6 +80,90 @@ if (!datasetDir) {
   showHelp();
 }
 
+// Train the content classifier from labelled folders
+async function trainClassifier() {
+  try {
+    console.log('\nNeural Audio Upscaler Training Tool');
+    console.log('==================================\n');
+    
+    console.log('Training content classifier');
+    console.log(`- Epochs: ${epochs}`);
+    console.log(`- Learning rate: ${learningRate}`);
+    console.log(`- Batch size: ${batchSize}\n`);
+    
+    // Check if directory exists
+    try {
+      await fs.access(datasetDir);
+    } catch (err) {
+      console.error(`Error: Dataset directory does not exist: ${datasetDir}`);
+      process.exit(1);
+    }
+    
+    // Collect labelled files from the voice/, music/ and ambient/ folders
+    const examples = [];
+    
+    for (const label of ContentAnalyzer.CONTENT_TYPES) {
+      const labelDir = path.join(datasetDir, label);
+      
+      let files;
+      try {
+        files = await fs.readdir(labelDir);
+      } catch (err) {
+        console.warn(`Warning: No '${label}' directory found in dataset`);
+        continue;
+      }
+      
+      for (const file of files) {
+        examples.push({ filePath: path.join(labelDir, file), label });
+      }
+      
+      console.log(`Found ${files.length} ${label} files`);
+    }
+    
+    if (examples.length === 0) {
+      console.error(`Error: Dataset directory must contain 'voice', 'music' and/or 'ambient' subdirectories with audio files`);
+      process.exit(1);
+    }
+    
+    const contentAnalyzer = new ContentAnalyzer();
+    await contentAnalyzer.initialize();
+    
+    const modelTrainer = new ModelTrainer({
+      epochs,
+      learningRate,
+      batchSize,
+      saveCheckpoints: false
+    });
+    
+    console.log('\nStarting classifier training...\n');
+    
+    const result = await modelTrainer.trainClassifier(contentAnalyzer, examples);
+    
+    // Confusion matrix: rows are true labels, columns are predictions
+    const { labels, confusionMatrix, perClassAccuracy, accuracy } = result;
+    const pad = text => String(text).padStart(9);
+    
+    console.log('\nConfusion matrix on held-out files (rows: actual, columns: predicted):');
+    console.log(pad('') + labels.map(pad).join(''));
+    labels.forEach((label, i) => {
+      console.log(pad(label) + confusionMatrix[i].map(pad).join(''));
+    });
+    
+    console.log('\nPer-class accuracy:');
+    for (const label of labels) {
+      const value = perClassAccuracy[label];
+      console.log(`- ${label}: ${value === null ? 'n/a' : (value * 100).toFixed(1) + '%'}`);
+    }
+    console.log(`Overall accuracy: ${accuracy === null ? 'n/a' : (accuracy * 100).toFixed(1) + '%'}`);
+    
+    console.log(`\nClassifier saved to: ${result.modelPath}`);
+    
+  } catch (error) {
+    console.error('Error during training:', error);
+    process.exit(1);
+  }
+}
+
 // Main function
 async function main() {
   try {
@@ -81,11 +180,13 @@ async function main() {
     upscaler.modelTrainer.options.epochs = epochs;
     upscaler.modelTrainer.options.learningRate = learningRate;
     upscaler.modelTrainer.options.batchSize = batchSize;
+    upscaler.modelTrainer.options.sampleRate = sampleRate;
     
     console.log(`Training configuration:`);
     console.log(`- Epochs: ${epochs}`);
     console.log(`- Learning rate: ${learningRate}`);
-    console.log(`- Batch size: ${batchSize}\n`);
+    console.log(`- Batch size: ${batchSize}`);
+    console.log(`- Sample rate: ${sampleRate} Hz\n`);
     
     // Scan dataset directory
     console.log(`Scanning dataset directory: ${datasetDir}`);
@@ -167,4 +268,8 @@ async function main() {
 }
 
 // Run main function
-main();
\ No newline at end of file
+if (classifierMode) {
+  trainClassifier();
+} else {
+  main();
+}
\ No newline at end of file
@@ -10,8 +10,34 @@ show_help() {
   echo "Options:"
   echo "  --no-preprocessing     Disable audio preprocessing"
   echo "  --no-postprocessing    Disable audio postprocessing"
+  echo "  --no-normalize         Skip loudness normalization in preprocessing"
+  echo "  --no-noise-reduction   Skip noise reduction in preprocessing"
+  echo "  --noise-reduction <dB> Most attenuation noise reduction may apply (default: 12)"
+  echo "  --noise-profile <src>  Learn the noise from a time range such as 0-1.5 or a noise-only file"
+  echo "  --no-transient-preservation  Let preprocessing gain changes act on transients too"
+  echo "  --no-dynamics          Skip dynamics restoration in preprocessing"
+  echo "  --no-hum-removal       Skip DC offset, mains hum and rumble removal in preprocessing"
+  echo "  --rumble-cutoff <hz>   Always high-pass at this cutoff, 0 to disable (default: 20 Hz, only when DC offset or hum is found)"
+  echo "  --declip               Rebuild clipped peaks in preprocessing"
+  echo "  --declick              Repair clicks and crackle in preprocessing"
+  echo "  --declick-sensitivity <1-10>  How faint a click gets repaired (default: 5)"
+  echo "  --preset <name>        Preprocessing preset: vinyl (de-click and 30 Hz rumble filter)"
   echo "  --training-mode        Enable training mode (model will learn from this example)"
   echo "  --audio-type <type>    Force audio type (voice, music, ambient, general)"
+  echo "  --mode <mode>          Model mode: single (best match) or mixture (confidence-weighted blend)"
+  echo "  --mixture-floor <n>    Minimum confidence, 0.15-1, to use specialists in mixture mode (default: 0.4)"
+  echo "  --sample-rate <hz>     Output sample rate, e.g. 48000 or 96000 (default: source rate, at least 44100)"
+  echo "  --bit-depth <depth>    Output bit depth: 16, 24, 32 or 32f (default: 24 for WAV)"
+  echo "  --format <name>        Output format regardless of extension: wav, aiff, flac, alac, wavpack, mp3, vorbis, opus or aac"
+  echo "  --codec-options <opts> Encoder settings, e.g. mode=vbr,quality=2 or bitrate=160 or compression=12"
+  echo "  --no-loudness-match    Keep the upscaled loudness instead of matching the original's"
+  echo "  --loudness-target <t>  Normalize for delivery: podcast (-16 LUFS), streaming (-14 LUFS) or broadcast (-23 LUFS) (default: original)"
+  echo "  --true-peak <dBTP>     Ceiling for the true-peak limiter (default: -1, or the target's)"
+  echo "  --no-limiter           Skip true-peak limiting in postprocessing"
+  echo "  --exciter <0-1>        Synthesize harmonics above the source cutoff from the octave below it (off by default)"
+  echo "  --transient-shaper <0-1>  Restore attacks dulled by lossy encoding (off by default)"
+  echo "  --dither <type>        Dither for 16- and 24-bit outputs: none, rectangular, tpdf, tpdf-hp or f-weighted (default: tpdf)"
+  echo "  --crossover <freq>     Keep the original below this frequency: auto, a frequency in Hz, or off (default: auto)"
   echo "  --help                 Show this help message"
   echo ""
   echo "Examples:"
@@ -31,13 +57,13 @@ while [[ $# -gt 0 ]]; do
     --help)
       show_help
       ;;
-    --no-preprocessing|--no-postprocessing|--training-mode)
+    --no-preprocessing|--no-postprocessing|--training-mode|--no-normalize|--no-noise-reduction|--no-transient-preservation|--no-dynamics|--no-hum-removal|--declip|--declick|--no-loudness-match|--no-limiter)
       OPTIONS="$OPTIONS $1"
       shift
       ;;
-    --audio-type)
+    --audio-type|--mode|--mixture-floor|--sample-rate|--bit-depth|--crossover|--noise-reduction|--noise-profile|--rumble-cutoff|--declick-sensitivity|--preset|--dither|--true-peak|--loudness-target|--exciter|--transient-shaper|--format|--codec-options)
       if [[ $# -lt 2 ]]; then
-        echo "Error: --audio-type requires an argument"
+        echo "Error: $1 requires an argument"
         exit 1
       fi
       OPTIONS="$OPTIONS $1 $2"